@@ -0,0 +1,43 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const EventEmitter = require('events');
+
+// AbortController is a global object since Node.js 15.  The classes below
+// implement the subset used in this package for older versions.
+
+class AbortSignal extends EventEmitter {
+  constructor() {
+    super();
+    this.aborted = false;
+  }
+
+  addEventListener(type, listener) {
+    this.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.removeListener(type, listener);
+  }
+}
+
+class AbortController {
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  abort() {
+    if (this.signal.aborted) {
+      return;
+    }
+    this.signal.aborted = true;
+    this.signal.emit('abort');
+  }
+}
+
+module.exports =
+  typeof global.AbortController === 'function' ?
+  global.AbortController : AbortController;
+module.exports.Fallback = AbortController;
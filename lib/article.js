@@ -0,0 +1,213 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const { URL } = require('url');
+const BrowserPool = require('./browser-pool');
+const { DownloadError } = require('./errors');
+const RetryPolicy = require('./retry-policy');
+
+const DOI_PREFIX = '10.1038';
+
+// istanbul ignore next
+function collectArticle() {
+  const metas = Array.from(document.querySelectorAll('meta[name]'));
+  const meta = (name) => {
+    const elem = metas.find((m) => m.name.toLowerCase() === name);
+    return elem ? elem.content : null;
+  };
+  const metaAll = (name) => metas
+        .filter((m) => m.name.toLowerCase() === name)
+        .map((m) => m.content);
+  const text = (selector) => {
+    const elem = document.querySelector(selector);
+    return elem ? elem.innerText.trim() : null;
+  };
+
+  // Institutions and ORCIDs follow each citation_author.
+  const authors = [];
+  for (let m of metas) {
+    switch (m.name.toLowerCase()) {
+    case 'citation_author':
+      authors.push({ name: m.content, affiliations: [], orcid: null });
+      break;
+    case 'citation_author_institution':
+      if (authors.length > 0) {
+        authors[authors.length - 1].affiliations.push(m.content);
+      }
+      break;
+    case 'citation_author_orcid':
+      if (authors.length > 0) {
+        authors[authors.length - 1].orcid =
+          m.content.replace(/^https?:\/\/orcid\.org\//, '');
+      }
+      break;
+    }
+  }
+
+  const dates = { received: null, accepted: null, published: null };
+  const history = document.querySelectorAll(
+    '.c-bibliographic-information__list-item, ' +
+      '[data-test="article-history"] li');
+  for (let item of history) {
+    const time = item.querySelector('time');
+    if (!time) {
+      continue;
+    }
+    const label = item.innerText.toLowerCase();
+    for (let key of Object.keys(dates)) {
+      if (label.startsWith(key) && dates[key] === null) {
+        dates[key] = time.getAttribute('datetime');
+      }
+    }
+  }
+  if (dates.published === null) {
+    dates.published =
+      meta('citation_online_date') || meta('citation_publication_date');
+  }
+
+  let abstract = text('#Abs1-content');
+  if (abstract === null) {
+    abstract = meta('dc.description') || meta('description');
+  }
+
+  let subjects = Array.from(document.querySelectorAll(
+    '[data-test="subject-badge"] a, .c-article-subject-list a'))
+      .map((elem) => elem.innerText.trim());
+  if (subjects.length === 0) {
+    subjects = metaAll('dc.subject');
+  }
+
+  const licenseLink = document.querySelector('a[rel="license"]');
+  const license = licenseLink ? licenseLink.href : meta('dc.rights');
+
+  const references = Array.from(document.querySelectorAll(
+    '[data-test="reference-text"], .c-article-references__text'))
+      .map((elem) => {
+        const item = elem.closest('li') || elem.parentElement;
+        const doiLink = item.querySelector('a[href*="doi.org/"]');
+        return {
+          citation: elem.innerText.trim(),
+          doi: doiLink ? decodeURIComponent(
+            doiLink.href.replace(/^.*doi\.org\//, '')) : null
+        };
+      });
+
+  return {
+    doi: meta('citation_doi') || meta('dc.identifier'),
+    title: meta('citation_title') || meta('dc.title'),
+    type: meta('citation_article_type') || meta('dc.type'),
+    journal: meta('citation_journal_title'),
+    volume: meta('citation_volume'),
+    issue: meta('citation_issue'),
+    pages: [meta('citation_firstpage'), meta('citation_lastpage')]
+      .filter((page) => page).join('-') || null,
+    abstract,
+    authors,
+    dates,
+    subjects,
+    license,
+    references
+  };
+}
+
+class Article {
+  // `id` is either a URL of an article page, or a DOI.
+  constructor(id) {
+    if (typeof id !== 'string') {
+      throw new Error(`Invalid article ID: ${id}`);
+    }
+    id = id.trim().replace(/^doi:/i, '');
+    if (/^https?:\/\//.test(id)) {
+      this._url = new URL(id).href;
+      this.doi = Article._getDoiFromUrl(this._url);
+    } else if (/^10\.\d{4,}\/\S+$/.test(id)) {
+      this._url = null;
+      this.doi = id;
+    } else {
+      throw new Error(`Invalid article ID: ${id}`);
+    }
+    this.content = null;
+  }
+
+  static from(args) {
+    if (!Array.isArray(args)) {
+      args = [args];
+    }
+    return args.map((arg) => new Article(arg));
+  }
+
+  get id() {
+    return this.doi || this.url;
+  }
+
+  get url() {
+    if (this._url) {
+      return this._url;
+    }
+    const [prefix, suffix] = this.doi.split(/\/(.+)/);
+    if (prefix === DOI_PREFIX) {
+      return `https://www.nature.com/articles/${suffix}`;
+    }
+    return `https://doi.org/${this.doi}`;
+  }
+
+  get metadata() {
+    let metadata = {
+      url: this.url,
+      doi: this.doi
+    };
+    if (this.content) {
+      Object.assign(metadata, this.content);
+    }
+    if (this.error) {
+      metadata.error = this.error;
+    }
+    return metadata;
+  }
+
+  // See Journal.scrape() for the `pool` argument and `options.signal`.
+  async scrape(options, pool = null) {
+    const ownPool = pool === null;
+    if (ownPool) {
+      pool = new BrowserPool(options);
+    }
+    try {
+      const policy = new RetryPolicy(options);
+      await policy.run(() => pool.withPage(async (page) => {
+        RetryPolicy.checkPageResponse(await page.goto(this.url));
+        const title = await page.title();
+        if (title.startsWith('Page not found')) {
+          throw new DownloadError(DownloadError.Kind.NOT_FOUND, 'Not found');
+        }
+        const content = await page.evaluate(collectArticle);
+        if (!content.doi) {
+          content.doi = this.doi;
+        }
+        this.doi = content.doi;
+        this.content = content;
+      }), { signal: options.signal });
+    } catch (e) {
+      this.error = e.message;
+    }
+    if (ownPool) {
+      await pool.close();
+    }
+    return this.metadata;
+  }
+
+  static _getDoiFromUrl(url) {
+    const { hostname, pathname } = new URL(url);
+    if (hostname === 'doi.org' || hostname === 'dx.doi.org') {
+      return decodeURIComponent(pathname.slice(1));
+    }
+    const matches = pathname.match(/^\/articles\/([^/]+)$/);
+    if (hostname === 'www.nature.com' && matches) {
+      return `${DOI_PREFIX}/${matches[1]}`;
+    }
+    return null;
+  }
+}
+
+module.exports = Article;
@@ -0,0 +1,96 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const browserFactory = require('./browser-factory');
+
+// A browser shared by scrapers.
+//
+// The browser is launched lazily when the first page is acquired, and the
+// number of pages opened at the same time is limited by the `concurrency`
+// option.  Callers exceeding the limit are queued until a page is released.
+class BrowserPool {
+  constructor(options = {}) {
+    this.options_ = options;
+    this.concurrency_ = Math.max(1, parseInt(options.concurrency) || 1);
+    this.browser_ = null;
+    this.active_ = 0;
+    this.queue_ = [];
+  }
+
+  get concurrency() {
+    return this.concurrency_;
+  }
+
+  async acquire() {
+    await this.waitForSlot_();
+    try {
+      return await browserFactory.newPage(
+        await this.launch_(), this.options_);
+    } catch (e) {
+      this.releaseSlot_();
+      throw e;
+    }
+  }
+
+  async release(page) {
+    try {
+      await page.close();
+    } finally {
+      this.releaseSlot_();
+    }
+  }
+
+  async withPage(fn) {
+    const page = await this.acquire();
+    try {
+      return await fn(page);
+    } finally {
+      await this.release(page);
+    }
+  }
+
+  async close() {
+    if (!this.browser_) {
+      return;
+    }
+    const promise = this.browser_;
+    this.browser_ = null;
+    let browser = null;
+    try {
+      browser = await promise;
+    } catch (e) {
+      // Failed to launch.  There is nothing to close.
+      return;
+    }
+    await browser.close();
+  }
+
+  launch_() {
+    if (!this.browser_) {
+      this.browser_ = browserFactory.launch(this.options_);
+    }
+    return this.browser_;
+  }
+
+  waitForSlot_() {
+    if (this.active_ < this.concurrency_) {
+      this.active_++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.queue_.push(resolve));
+  }
+
+  releaseSlot_() {
+    const next = this.queue_.shift();
+    if (next) {
+      // The slot is handed over to the next waiter as is.
+      next();
+    } else {
+      this.active_--;
+    }
+  }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,302 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PDFDocument, PDFHexString, PDFName, StandardFonts, rgb
+} = require('pdf-lib');
+const { getJournalId } = require('./ids');
+const Manifest = require('./manifest');
+const paths = require('./paths');
+const sites = require('./sites');
+
+const Status = Manifest.Status;
+
+// A4 in points.
+const PAGE_SIZE = [595.28, 841.89];
+const MARGIN = 56;
+// Width of the column of page numbers in the table of contents.
+const PAGE_NUMBER_WIDTH = 40;
+
+// Authors more than this are omitted as "et al.".
+const MAX_AUTHORS = 8;
+
+const STYLES = {
+  heading: { font: 'bold', size: 18, leading: 24, color: rgb(0, 0, 0) },
+  type: { font: 'regular', size: 8, leading: 11, color: rgb(0.4, 0.4, 0.4) },
+  title: { font: 'bold', size: 11, leading: 14, color: rgb(0, 0, 0) },
+  authors: { font: 'regular', size: 9, leading: 12, color: rgb(0.2, 0.2, 0.2) }
+};
+
+// Space between entries in the table of contents.
+const ENTRY_SPACING = 10;
+
+// Returns a title like "Nature 555 (7694), 2018-03-08".
+function getTitle(journal) {
+  const name = sites.has(journal.name) ?
+        sites.get(journal.name).title : journal.name;
+  const title = `${name} ${journal.volume} (${journal.issue})`;
+  return journal.date ? `${title}, ${journal.date}` : title;
+}
+
+// Returns downloaded articles in the issue folder in the issue order.  Each
+// article has `index`, `title`, `type`, `authors` and `file` relative to the
+// folder.
+//
+// `journal` is the output of `njtool scrape journal` for the issue, which
+// provides types and authors of articles.  Only titles are available without
+// it.
+function getArticles(dir, manifest, journal = null) {
+  const scraped = new Map();
+  if (journal !== null) {
+    journal.articles.forEach((article, i) => {
+      scraped.set(paths.getArticleIndex(article, i), article);
+    });
+  }
+  return manifest.articles
+    .filter((entry) => entry.status === Status.DOWNLOADED && entry.file &&
+            fs.existsSync(path.join(dir, entry.file)))
+    .sort((a, b) => a.index - b.index)
+    .map((entry) => {
+      let article = scraped.get(entry.index) || {};
+      if (article.url !== entry.url) {
+        // The article has been changed since the download.
+        article = {};
+      }
+      return {
+        index: entry.index,
+        title: article.title || entry.title,
+        type: article.type || null,
+        authors: article.authors || [],
+        file: entry.file
+      };
+    });
+}
+
+// Throws an Error if no manifest is found in the issue folder.
+function loadManifest(dir) {
+  const manifest = Manifest.load(dir);
+  if (manifest === null || manifest.journal === null) {
+    throw new Error(`No manifest found: ${dir}`);
+  }
+  return manifest;
+}
+
+// Merges PDF files of articles downloaded into the issue folder `dir`, and
+// resolves to `{ title, bytes, articles, skipped }`.
+//
+// The bundle starts with a table of contents, and has a bookmark for each
+// article.  `articles` are the bundled articles having `page` which is the
+// 1-based page number of the first page.  `skipped` are articles whose files
+// cannot be read, having `error`.
+async function bundle(dir, journal = null) {
+  const manifest = loadManifest(dir);
+  if (journal !== null &&
+      getJournalId(journal) !== getJournalId(manifest.journal)) {
+    throw new Error(`Metadata of another issue: ${getJournalId(journal)}`);
+  }
+  const title = getTitle(Object.assign({}, manifest.journal, journal));
+
+  const sources = [];
+  const skipped = [];
+  for (let article of getArticles(dir, manifest, journal)) {
+    try {
+      const data = fs.readFileSync(path.join(dir, article.file));
+      sources.push({ article, pdf: await PDFDocument.load(data) });
+    } catch (e) {
+      skipped.push(Object.assign({ error: e.message }, article));
+    }
+  }
+  if (sources.length === 0) {
+    throw new Error(`No PDF file to bundle: ${dir}`);
+  }
+
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+
+  // The table of contents is laid out first so that page numbers of articles
+  // are known.
+  const toc = layoutContents(title, sources.map((s) => s.article), fonts);
+  const tocPages = toc.map(() => doc.addPage(PAGE_SIZE));
+  const articles = [];
+  for (let { article, pdf } of sources) {
+    const pages = await doc.copyPages(pdf, pdf.getPageIndices());
+    articles.push(Object.assign({ page: doc.getPageCount() + 1 }, article));
+    for (let page of pages) {
+      doc.addPage(page);
+    }
+  }
+  const pageRefs = doc.getPages().map((page) => page.ref);
+  const startRefs = articles.map((article) => pageRefs[article.page - 1]);
+
+  toc.forEach((items, i) => {
+    drawContents(doc, tocPages[i], items, articles, startRefs, fonts);
+  });
+  addOutline(doc, articles.map((article, i) => {
+    return { title: article.title, ref: startRefs[i] };
+  }));
+
+  doc.setTitle(title, { showInWindowTitleBar: true });
+  doc.setSubject(`Articles in ${title}`);
+  doc.setCreator('njtool');
+  doc.setProducer('njtool');
+  return { title, bytes: await doc.save(), articles, skipped };
+}
+
+// Returns pages of the table of contents.  Each page is an array of items
+// having `lines`, `y` and `article` which is the position of the article or
+// null for the heading.
+function layoutContents(title, articles, fonts) {
+  const width = PAGE_SIZE[0] - MARGIN * 2 - PAGE_NUMBER_WIDTH;
+  const blocks = [{
+    article: null,
+    lines: wrap(title, STYLES.heading, width, fonts)
+  }];
+  articles.forEach((article, i) => {
+    let lines = [];
+    if (article.type) {
+      lines = lines.concat(wrap(article.type, STYLES.type, width, fonts));
+    }
+    lines = lines.concat(wrap(article.title, STYLES.title, width, fonts));
+    if (article.authors.length > 0) {
+      let authors = article.authors.slice(0, MAX_AUTHORS).join(', ');
+      if (article.authors.length > MAX_AUTHORS) {
+        authors += ' et al.';
+      }
+      lines = lines.concat(wrap(authors, STYLES.authors, width, fonts));
+    }
+    blocks.push({ article: i, lines });
+  });
+
+  const pages = [[]];
+  let y = PAGE_SIZE[1] - MARGIN;
+  for (let block of blocks) {
+    const height = block.lines.reduce((h, line) => h + line.style.leading, 0);
+    if (y - height < MARGIN && pages[pages.length - 1].length > 0) {
+      pages.push([]);
+      y = PAGE_SIZE[1] - MARGIN;
+    }
+    pages[pages.length - 1].push(Object.assign({ y }, block));
+    y -= height + ENTRY_SPACING;
+  }
+  return pages;
+}
+
+// Each entry has the page number, and a link to the article.
+function drawContents(doc, page, items, articles, startRefs, fonts) {
+  for (let item of items) {
+    let y = item.y;
+    for (let line of item.lines) {
+      y -= line.style.leading;
+      page.drawText(line.text, {
+        x: MARGIN,
+        y,
+        size: line.style.size,
+        font: fonts[line.style.font],
+        color: line.style.color
+      });
+    }
+    if (item.article === null) {
+      continue;
+    }
+    const number = String(articles[item.article].page);
+    const font = fonts.regular;
+    const size = STYLES.title.size;
+    const right = PAGE_SIZE[0] - MARGIN;
+    page.drawText(number, {
+      x: right - font.widthOfTextAtSize(number, size),
+      y: item.y - item.lines[0].style.leading,
+      size,
+      font
+    });
+    const link = doc.context.register(doc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [MARGIN, y, right, item.y],
+      Border: [0, 0, 0],
+      Dest: [startRefs[item.article], 'Fit']
+    }));
+    page.node.addAnnot(link);
+  }
+}
+
+// Adds a bookmark for each of `items` having `title` and `ref` of the page.
+function addOutline(doc, items) {
+  const context = doc.context;
+  const outlineRef = context.nextRef();
+  const refs = items.map(() => context.nextRef());
+  items.forEach((item, i) => {
+    const dict = {
+      // Bookmarks can contain any characters unlike the standard fonts.
+      Title: PDFHexString.fromText(item.title),
+      Parent: outlineRef,
+      Dest: [item.ref, 'Fit']
+    };
+    if (i > 0) {
+      dict.Prev = refs[i - 1];
+    }
+    if (i < refs.length - 1) {
+      dict.Next = refs[i + 1];
+    }
+    context.assign(refs[i], context.obj(dict));
+  });
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: refs[0],
+    Last: refs[refs.length - 1],
+    Count: refs.length
+  }));
+  doc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Splits `text` into lines fitting in `width`.  Long words are not split.
+function wrap(text, style, width, fonts) {
+  const font = fonts[style.font];
+  const words = encodable(text, font).split(/\s+/).filter((w) => w !== '');
+  const lines = [];
+  let line = '';
+  for (let word of words) {
+    const candidate = line === '' ? word : `${line} ${word}`;
+    if (line === '' ||
+        font.widthOfTextAtSize(candidate, style.size) <= width) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line !== '') {
+    lines.push(line);
+  }
+  return lines.map((text) => ({ text, style }));
+}
+
+// The standard fonts support only Latin characters.  Accents are removed
+// from the other Latin characters, and the other characters are replaced
+// with "?".
+function encodable(text, font) {
+  const charset = new Set(font.getCharacterSet());
+  return Array.from(text).map((c) => {
+    if (charset.has(c.codePointAt(0))) {
+      return c;
+    }
+    const base = c.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    if (base !== '' &&
+        Array.from(base).every((b) => charset.has(b.codePointAt(0)))) {
+      return base;
+    }
+    return /\s/.test(c) ? ' ' : '?';
+  }).join('');
+}
+
+module.exports.getTitle = getTitle;
+module.exports.getArticles = getArticles;
+module.exports.loadManifest = loadManifest;
+module.exports.bundle = bundle;
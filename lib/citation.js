@@ -0,0 +1,409 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const path = require('path');
+const Article = require('./article');
+const paths = require('./paths');
+const sites = require('./sites');
+
+const FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+const MONTHS = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+  'jul', 'aug', 'sep', 'oct', 'nov', 'dec'
+];
+
+// Words ignored when making citation keys.
+const STOP_WORDS = [
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the',
+  'to', 'with'
+];
+
+// Builds citation records from the output of `njtool scrape journal`.
+//
+// `articles` is the output of `njtool scrape article`.  Article-level
+// metadata is merged into records of the same articles, and records are also
+// made for articles not included in `journals`.
+//
+// When `options.pdfDir` is specified, each record has a path to the PDF file
+// saved by `njtool download -o <pdfDir>`.
+function collect(journals, articles = [], options = {}) {
+  const details = new Map();
+  for (let article of articles) {
+    if (article.error === undefined) {
+      details.set(article.url, article);
+      if (article.doi) {
+        details.set(article.doi, article);
+      }
+    }
+  }
+
+  const used = new Set();
+  const records = [];
+  for (let journal of journals) {
+    if (journal.error !== undefined || !Array.isArray(journal.articles)) {
+      continue;
+    }
+    const files = options.pdfDir ?
+          paths.getArticleFiles(options.pdfDir, journal, options) : [];
+    journal.articles.forEach((article, i) => {
+      const doi = getDoi(article.url);
+      const record = {
+        doi,
+        url: article.url,
+        title: article.title,
+        type: article.type || null,
+        authors: (article.authors || []).map(parseName),
+        journal: getJournalTitle(journal.name),
+        volume: journal.volume,
+        issue: journal.issue,
+        pages: null,
+        date: article.date || journal.date || null,
+        abstract: article.description || null,
+        keywords: [],
+        file: null
+      };
+      if (options.pdfDir) {
+        record.file = path.join(
+          paths.getJournalDir(options.pdfDir, journal, options), files[i]);
+      }
+      const detail = details.get(article.url) || details.get(doi);
+      if (detail) {
+        used.add(detail);
+        merge(record, detail);
+      }
+      records.push(record);
+    });
+  }
+
+  for (let article of new Set(details.values())) {
+    if (used.has(article)) {
+      continue;
+    }
+    const record = {
+      doi: article.doi,
+      url: article.url,
+      title: article.title,
+      type: null,
+      authors: [],
+      journal: null,
+      volume: null,
+      issue: null,
+      pages: null,
+      date: null,
+      abstract: null,
+      keywords: [],
+      file: null
+    };
+    merge(record, article);
+    records.push(record);
+  }
+
+  assignKeys(records);
+  return records;
+}
+
+function merge(record, detail) {
+  const props = {
+    doi: detail.doi,
+    title: detail.title,
+    type: detail.type,
+    journal: detail.journal,
+    volume: detail.volume,
+    issue: detail.issue,
+    pages: detail.pages,
+    date: detail.dates ? detail.dates.published : null,
+    abstract: detail.abstract
+  };
+  for (let key of Object.keys(props)) {
+    if (props[key]) {
+      record[key] = props[key];
+    }
+  }
+  if (Array.isArray(detail.authors) && detail.authors.length > 0) {
+    record.authors = detail.authors.map((author) => parseName(author.name));
+  }
+  if (Array.isArray(detail.subjects)) {
+    record.keywords = detail.subjects;
+  }
+}
+
+function getDoi(url) {
+  try {
+    return new Article(url).doi;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getJournalTitle(name) {
+  return sites.has(name) ? sites.get(name).title : name;
+}
+
+// Accepts both "Given Family" and "Family, Given".
+function parseName(name) {
+  name = name.trim();
+  if (name.includes(',')) {
+    const [family, given] = name.split(/,(.*)/);
+    return { family: family.trim(), given: given.trim() };
+  }
+  const words = name.split(/\s+/);
+  if (words.length === 1) {
+    return { family: name, given: '' };
+  }
+  return { family: words.pop(), given: words.join(' ') };
+}
+
+// Citation keys look like "smith2018quantum".  When records have the same key,
+// the first one in the order of their DOIs keeps it, and the others get
+// suffixes in that order so that keys don't depend on the order of the input.
+// A new record having the same key changes the keys of records after it.
+function assignKeys(records) {
+  const groups = new Map();
+  for (let record of records) {
+    const key = makeKey(record);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+  for (let [key, group] of groups) {
+    if (group.length === 1) {
+      group[0].key = key;
+      continue;
+    }
+    group
+      .sort((a, b) => (a.doi || a.url).localeCompare(b.doi || b.url))
+      .forEach((record, i) => {
+        record.key = i === 0 ? key : key + toSuffix(i - 1);
+      });
+  }
+}
+
+function makeKey(record) {
+  const author = record.authors.length > 0 ?
+        record.authors[0].family : (record.journal || 'anonymous');
+  const year = record.date ? record.date.substr(0, 4) : 'nd';
+  const words = (record.title || '').split(/\s+/).map(toAscii)
+        .filter((word) => word.length > 0);
+  const word = words.find((w) => !STOP_WORDS.includes(w)) || words[0] || '';
+  return toAscii(author) + year + word;
+}
+
+function toAscii(str) {
+  return str.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase();
+}
+
+// 0 -> a, 25 -> z, 26 -> aa, ...
+function toSuffix(i) {
+  let suffix = '';
+  for (i += 1; i > 0; i = Math.floor((i - 1) / 26)) {
+    suffix = String.fromCharCode(97 + (i - 1) % 26) + suffix;
+  }
+  return suffix;
+}
+
+function getDateParts(date) {
+  if (!date) {
+    return [];
+  }
+  return date.split('-').map((part) => parseInt(part))
+    .filter((part) => !isNaN(part));
+}
+
+function splitPages(pages) {
+  if (!pages) {
+    return [null, null];
+  }
+  const [first, last] = String(pages).split(/-+/);
+  return [first, last || null];
+}
+
+// BibTeX
+
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '%': '\\%',
+  '#': '\\#',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+const LATEX_LETTERS = {
+  'ß': '\\ss', 'æ': '\\ae', 'Æ': '\\AE', 'œ': '\\oe', 'Œ': '\\OE',
+  'ø': '\\o', 'Ø': '\\O', 'ł': '\\l', 'Ł': '\\L', 'ı': '\\i'
+};
+
+// Combining characters and corresponding accent commands.
+const LATEX_ACCENTS = {
+  '\u0300': '`', '\u0301': '\'', '\u0302': '^', '\u0303': '~',
+  '\u0304': '=', '\u0306': 'u', '\u0307': '.', '\u0308': '"',
+  '\u030a': 'r', '\u030b': 'H', '\u030c': 'v', '\u0327': 'c',
+  '\u0328': 'k'
+};
+
+function escapeLatex(str) {
+  return String(str).normalize('NFD').replace(
+    /([\s\S])([\u0300-\u036f]*)/g, (match, c, marks) => {
+      if (LATEX_SPECIALS[c]) {
+        return LATEX_SPECIALS[c];
+      }
+      if (LATEX_LETTERS[c]) {
+        return `{${LATEX_LETTERS[c]}}`;
+      }
+      if (marks.length === 0) {
+        return c;
+      }
+      const accents = Array.from(marks).map((mark) => LATEX_ACCENTS[mark]);
+      if (accents.includes(undefined)) {
+        return match.normalize('NFC');
+      }
+      // Accents are put on the dotless i and j.
+      let out = c === 'i' ? '\\i' : (c === 'j' ? '\\j' : c);
+      for (let accent of accents) {
+        out = `{\\${accent}{${out}}}`;
+      }
+      return out;
+    });
+}
+
+function toBibtexName(name) {
+  if (!name.given) {
+    // Braces prevent a corporate name from being parsed.
+    return `{${escapeLatex(name.family)}}`;
+  }
+  return `${escapeLatex(name.family)}, ${escapeLatex(name.given)}`;
+}
+
+function toBibtex(record) {
+  const fields = [];
+  const add = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      fields.push(`  ${name} = ${value}`);
+    }
+  };
+  const [year, month] = getDateParts(record.date);
+  add('author', record.authors.length > 0 ?
+      `{${record.authors.map(toBibtexName).join(' and ')}}` : null);
+  // Double braces keep the capitalization of the title.
+  add('title', record.title ? `{{${escapeLatex(record.title)}}}` : null);
+  add('journal', record.journal ? `{${escapeLatex(record.journal)}}` : null);
+  add('year', year ? `{${year}}` : null);
+  add('month', month ? MONTHS[month - 1] : null);
+  add('volume', record.volume ? `{${record.volume}}` : null);
+  add('number', record.issue ? `{${record.issue}}` : null);
+  add('pages', record.pages ?
+      `{${splitPages(record.pages).filter((p) => p).join('--')}}` : null);
+  // DOIs, URLs and paths are written as is.  They are typeset verbatim.
+  add('doi', record.doi ? `{${record.doi}}` : null);
+  add('url', record.url ? `{${record.url}}` : null);
+  add('abstract', record.abstract ? `{${escapeLatex(record.abstract)}}` : null);
+  add('keywords', record.keywords.length > 0 ?
+      `{${escapeLatex(record.keywords.join(', '))}}` : null);
+  add('file', record.file ? `{${record.file}}` : null);
+  return `@article{${record.key},\n${fields.join(',\n')}\n}\n`;
+}
+
+// RIS
+
+function toRis(record) {
+  const lines = [];
+  const add = (tag, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      lines.push(`${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`);
+    }
+  };
+  const [year, month, day] = getDateParts(record.date);
+  const [startPage, endPage] = splitPages(record.pages);
+  add('TY', 'JOUR');
+  add('ID', record.key);
+  add('TI', record.title);
+  for (let author of record.authors) {
+    add('AU', author.given ?
+        `${author.family}, ${author.given}` : author.family);
+  }
+  add('T2', record.journal);
+  add('PY', year);
+  if (year) {
+    const pad = (n) => n ? `0${n}`.substr(-2) : '';
+    add('DA', `${year}/${pad(month)}/${pad(day)}`);
+  }
+  add('VL', record.volume);
+  add('IS', record.issue);
+  add('SP', startPage);
+  add('EP', endPage);
+  add('DO', record.doi);
+  add('UR', record.url);
+  add('AB', record.abstract);
+  for (let keyword of record.keywords) {
+    add('KW', keyword);
+  }
+  add('L1', record.file);
+  lines.push('ER  - ');
+  return lines.join('\n') + '\n';
+}
+
+// CSL-JSON
+
+function toCsl(record) {
+  const item = {
+    id: record.key,
+    type: 'article-journal',
+    title: record.title
+  };
+  if (record.authors.length > 0) {
+    item.author = record.authors.map((author) => {
+      return author.given ?
+        { family: author.family, given: author.given } :
+        { literal: author.family };
+    });
+  }
+  const optional = {
+    'container-title': record.journal,
+    'volume': record.volume ? String(record.volume) : null,
+    'issue': record.issue ? String(record.issue) : null,
+    'page': record.pages,
+    'DOI': record.doi,
+    'URL': record.url,
+    'abstract': record.abstract,
+    'keyword': record.keywords.length > 0 ? record.keywords.join(', ') : null
+  };
+  for (let key of Object.keys(optional)) {
+    if (optional[key]) {
+      item[key] = optional[key];
+    }
+  }
+  const dateParts = getDateParts(record.date);
+  if (dateParts.length > 0) {
+    item.issued = { 'date-parts': [dateParts] };
+  }
+  return item;
+}
+
+function format(records, fmt) {
+  switch (fmt) {
+  case 'bibtex':
+    return records.map(toBibtex).join('\n');
+  case 'ris':
+    return records.map(toRis).join('\n');
+  case 'csl-json':
+    return JSON.stringify(records.map(toCsl), null, 2) + '\n';
+  default:
+    throw new Error(`Unsupported format: ${fmt}`);
+  }
+}
+
+module.exports.FORMATS = FORMATS;
+module.exports.collect = collect;
+module.exports.format = format;
+module.exports.escapeLatex = escapeLatex;
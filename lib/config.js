@@ -0,0 +1,143 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Values of these options in profiles are paths relative to the folder
+// containing the config file.
+const PATH_OPTIONS = [
+  'outdir', 'pdfDir', 'articles', 'sessionFile', 'executablePath', 'userDataDir'
+];
+
+function getDefaultPath(env = process.env) {
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'njtool', 'config.json');
+}
+
+function expandPath(value, baseDir) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.substr(1));
+  }
+  return path.resolve(baseDir, value);
+}
+
+// Loads a config file like below:
+//
+//   {
+//     "defaultProfile": "laptop",
+//     "profiles": {
+//       "laptop": { "outdir": "~/journals", "headless": false },
+//       "server": { "outdir": "/srv/journals", "parallel": 4 }
+//     }
+//   }
+//
+// Keys in each profile are the camel-cased names of command-line options such
+// as "retryInterval" for --retry-interval.
+//
+// An empty config is returned if `file` is not specified and no config file
+// exists at the default path.
+function load(file = null, env = process.env) {
+  const configPath = file || getDefaultPath(env);
+  if (!fs.existsSync(configPath)) {
+    if (file) {
+      throw new Error(`No such file: ${file}`);
+    }
+    return { path: null, defaultProfile: null, profiles: {} };
+  }
+  let json = null;
+  try {
+    json = JSON.parse(fs.readFileSync(configPath, { encoding: 'utf8' }));
+  } catch (e) {
+    throw new Error(`Invalid config file: ${configPath}: ${e.message}`);
+  }
+  if (json === null || typeof json !== 'object' ||
+      (json.profiles !== undefined && typeof json.profiles !== 'object')) {
+    throw new Error(`Invalid config file: ${configPath}`);
+  }
+  return {
+    path: configPath,
+    defaultProfile: json.defaultProfile || null,
+    profiles: json.profiles || {}
+  };
+}
+
+// The profile is selected by `name`, $NJTOOL_PROFILE or "defaultProfile" in
+// this order.  An empty object is returned if no profile is selected.
+function getProfile(config, name = null, env = process.env) {
+  name = name || env.NJTOOL_PROFILE || config.defaultProfile;
+  if (!name) {
+    return {};
+  }
+  if (!Object.prototype.hasOwnProperty.call(config.profiles, name)) {
+    throw new Error(`No such profile: ${name}`);
+  }
+  const profile = Object.assign({}, config.profiles[name]);
+  const baseDir = path.dirname(config.path);
+  for (let key of PATH_OPTIONS) {
+    if (typeof profile[key] === 'string') {
+      profile[key] = expandPath(profile[key], baseDir);
+    }
+  }
+  return profile;
+}
+
+// Returns option values of the parsed `command` merged with the environment
+// variables, the profile and the defaults.  The precedence is:
+//
+//   command-line options > environment variables > profile > defaults
+//
+// `spec.defaults` contains default values of options.  They must not be
+// specified in the command because options having default values cannot be
+// distinguished from those specified in the command line.  `spec.env` maps
+// option names to names of environment variables.
+//
+// Keys in the profile are ignored unless they are options of the command or
+// keys of `spec.env`, because a profile is shared by all subcommands.
+//
+// The command must have the --config and --profile options.
+function resolve(command, spec = {}, env = process.env) {
+  const values = command.opts();
+  const config = load(values.config || null, env);
+  const profile = getProfile(config, values.profile || null, env);
+
+  const defaults = {};
+  const fromProfile = {};
+  const fromEnv = {};
+  const fromCommand = {};
+  const keys = command.options.map((option) => option.attributeName())
+        .concat(Object.keys(spec.env || {}));
+  for (let key of keys) {
+    if (Object.prototype.hasOwnProperty.call(profile, key)) {
+      fromProfile[key] = profile[key];
+    }
+  }
+  for (let option of command.options) {
+    const key = option.attributeName();
+    // `--no-<name>` options are true unless they are specified.
+    if (option.negate) {
+      defaults[key] = true;
+      if (values[key] === false) {
+        fromCommand[key] = false;
+      }
+    } else if (values[key] !== undefined) {
+      fromCommand[key] = values[key];
+    }
+  }
+  for (let key of Object.keys(spec.env || {})) {
+    const value = env[spec.env[key]];
+    if (value !== undefined && value !== '') {
+      fromEnv[key] = value;
+    }
+  }
+  return Object.assign(
+    defaults, spec.defaults || {}, fromProfile, fromEnv, fromCommand);
+}
+
+module.exports.getDefaultPath = getDefaultPath;
+module.exports.load = load;
+module.exports.getProfile = getProfile;
+module.exports.resolve = resolve;
@@ -0,0 +1,241 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const tty = require('tty');
+
+// The host of the login page.
+const NETRC_MACHINE = 'idp.nature.com';
+
+function getNetrcPath(env = process.env) {
+  return env.NETRC || path.join(os.homedir(), '.netrc');
+}
+
+// Returns `{ login, password }` of the machine in the netrc file, or the
+// default entry.  Returns null if no entry is found.
+//
+// Macros are skipped.  Quoted tokens are not supported.
+function readNetrc(file, machine = NETRC_MACHINE) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const lines = fs.readFileSync(file, { encoding: 'utf8' }).split(/\r?\n/);
+  const tokens = [];
+  for (let i = 0; i < lines.length; ++i) {
+    const words = lines[i].split(/\s+/).filter((w) => w.length > 0);
+    if (words[0] === 'macdef') {
+      // A macro definition continues until an empty line.
+      while (i + 1 < lines.length && lines[i + 1].trim().length > 0) {
+        ++i;
+      }
+      continue;
+    }
+    tokens.push(...words);
+  }
+
+  const entries = [];
+  let entry = null;
+  for (let i = 0; i < tokens.length; ++i) {
+    switch (tokens[i]) {
+    case 'machine':
+      entry = { machine: tokens[++i], login: null, password: null };
+      entries.push(entry);
+      break;
+    case 'default':
+      entry = { machine: null, login: null, password: null };
+      entries.push(entry);
+      break;
+    case 'login':
+    case 'password':
+      if (entry !== null) {
+        entry[tokens[i]] = tokens[i + 1] || null;
+      }
+      ++i;
+      break;
+    case 'account':
+      ++i;
+      break;
+    }
+  }
+  const found = entries.find((e) => e.machine === machine) ||
+        entries.find((e) => e.machine === null);
+  return found ? { login: found.login, password: found.password } : null;
+}
+
+// Runs `command` in a shell, and returns the first line of its output like
+// `git credential` helpers.  The output is never included in error messages.
+function runPasswordCommand(command) {
+  return new Promise((resolve, reject) => {
+    // STDIN is not passed because it may be the input of the command.
+    const options = { stdio: ['ignore', 'pipe', 'inherit'], shell: true };
+    const child = childProcess.spawn(command, options);
+    const chunks = [];
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.on('error', (e) => {
+      reject(new Error(`Failed to run the password command: ${e.code}`));
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`The password command exited with ${code}`));
+        return;
+      }
+      const [password] = splitFirstLine(Buffer.concat(chunks).toString());
+      if (password.length === 0) {
+        reject(new Error('The password command output nothing'));
+        return;
+      }
+      resolve(password);
+    });
+  });
+}
+
+// Returns the first line and the rest.  Used for --password-stdin where the
+// password is followed by other input.
+function splitFirstLine(text) {
+  const match = /\r?\n/.exec(text);
+  if (match === null) {
+    return [text, ''];
+  }
+  const rest = text.slice(match.index + match[0].length);
+  return [text.slice(0, match.index), rest];
+}
+
+// Returns the terminal used for prompts, or null if there is no terminal.
+// Prompts are output to STDERR so that they are not mixed with the output.
+// STDIN is usually connected to a pipe in `njtool download`, so the
+// controlling terminal is opened in that case.
+function openTty() {
+  if (process.stdin.isTTY) {
+    return {
+      input: process.stdin,
+      output: process.stderr,
+      close: () => process.stdin.pause()
+    };
+  }
+  // istanbul ignore next
+  if (process.platform === 'win32') {
+    return null;
+  }
+  try {
+    const input = new tty.ReadStream(fs.openSync('/dev/tty', 'r'));
+    return { input, output: process.stderr, close: () => input.destroy() };
+  } catch (e) {
+    return null;
+  }
+}
+
+function readLine(input, output, question) {
+  const rl = readline.createInterface({ input, output, terminal: true });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Reads a line from the terminal without echoing it.
+function readHidden(input, output, question) {
+  return new Promise((resolve, reject) => {
+    let chars = [];
+    const finish = (error) => {
+      input.removeListener('data', onData);
+      input.setRawMode(false);
+      input.pause();
+      output.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(chars.join(''));
+      }
+    };
+    const onData = (data) => {
+      for (let c of data.toString('utf8')) {
+        switch (c) {
+        case '\r':
+        case '\n':
+        case '\u0004':  // Ctrl-D
+          finish(null);
+          return;
+        case '\u0003':  // Ctrl-C
+          finish(new Error('Canceled'));
+          return;
+        case '\u007f':  // Backspace
+        case '\b':
+          chars = chars.slice(0, -1);
+          break;
+        default:
+          chars.push(c);
+        }
+      }
+    };
+    output.write(question);
+    input.setRawMode(true);
+    input.resume();
+    input.on('data', onData);
+  });
+}
+
+// Returns `{ username, password }` found in the following sources in this
+// order:
+//
+//   1. `options.username` and `options.password` which are taken from
+//      command-line options, environment variables or the profile
+//   2. `options.passwordCommand`
+//   3. The entry for idp.nature.com in the netrc file
+//   4. Prompts on the terminal
+//
+// Passwords read from STDIN with --password-stdin must be set to
+// `options.password` before calling this function.
+async function get(options, env = process.env, open = openTty) {
+  let username = options.username || null;
+  let password = options.password || null;
+  if (password === null && options.passwordCommand) {
+    password = await runPasswordCommand(options.passwordCommand);
+  }
+  if (username === null || password === null) {
+    const entry = readNetrc(getNetrcPath(env));
+    // The password in the entry is used only for the same login.
+    if (entry !== null && (username === null || username === entry.login)) {
+      username = username || entry.login;
+      password = password || entry.password;
+    }
+  }
+  if (username === null || password === null) {
+    const terminal = open();
+    if (terminal !== null) {
+      try {
+        if (username === null) {
+          username = await readLine(
+            terminal.input, terminal.output, 'Username: ');
+        }
+        if (password === null) {
+          password = await readHidden(
+            terminal.input, terminal.output, 'Password: ');
+        }
+      } finally {
+        terminal.close();
+      }
+    }
+  }
+  if (!username) {
+    throw new Error('Username is required');
+  }
+  if (!password) {
+    throw new Error('Password is required');
+  }
+  return { username, password };
+}
+
+module.exports.getNetrcPath = getNetrcPath;
+module.exports.readNetrc = readNetrc;
+module.exports.runPasswordCommand = runPasswordCommand;
+module.exports.splitFirstLine = splitFirstLine;
+module.exports.readHidden = readHidden;
+module.exports.get = get;
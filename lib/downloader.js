@@ -3,16 +3,50 @@
 
 'use strict';
 
-const chalk = require('chalk');
+const EventEmitter = require('events');
 const fs = require('fs');
 const mkdirp = require('mkdirp');
 const moment = require('moment');
 const path = require('path');
-const puppeteer = require('puppeteer');
-const sanitizeFilename = require('sanitize-filename');
 const { URL } = require('url');
+const AbortController = require('./abort-controller');
+const browserFactory = require('./browser-factory');
+const { DownloadError, LoginError } = require('./errors');
+const EventLog = require('./event-log');
+const http = require('./http');
+const { getJournalId } = require('./ids');
+const Manifest = require('./manifest');
+const paths = require('./paths');
+const pdf = require('./pdf');
+const RateLimiter = require('./rate-limiter');
+const RetryPolicy = require('./retry-policy');
+const Session = require('./session');
 const sleep = require('./sleep');
 
+const Action = RetryPolicy.Action;
+const Kind = DownloadError.Kind;
+const Status = Manifest.Status;
+
+const LOGIN_URL = 'https://idp.nature.com/login/natureuser';
+const LOGOUT_URL = 'https://idp.nature.com/logout/natureuser';
+
+// Cookies of these sites are saved in the session file.
+const SESSION_URLS = ['https://idp.nature.com/', 'https://www.nature.com/'];
+
+// Including the first trial.
+const MAX_LOGIN_TRIALS = 4;
+
+// File types downloaded when the supplementary option is true.
+const DEFAULT_SUPPLEMENTARY_TYPES =
+      ['pdf', 'docx', 'xlsx', 'xls', 'csv', 'zip', 'jpg', 'png'];
+
+// Used in file names of supplementary files like "01 title - SI1.pdf".
+const SUPPLEMENTARY_LABELS = {
+  'supplementary': 'SI',
+  'source-data': 'SD',
+  'extended-data': 'ED'
+};
+
 class Progress {
   constructor(count, total, trial, maxTrial) {
     this.count = count;
@@ -20,152 +54,634 @@ class Progress {
     this.trial = trial;
     this.maxTrial = maxTrial;
   }
-
-  get indicator() {
-    const progInd = [
-      ` ${this.count}`.substr(-2),
-      ` ${this.total}`.substr(-2)
-    ].join('/');
-    const trialInd = `${this.trial}/${this.maxTrial}`;
-    return `${progInd}: ${trialInd}`;
-  }
 }
 
-class Downloader {
-  constructor(options, logger) {
+// Downloads PDF files of articles in journals.
+//
+// Events listed in README.md are emitted with their types, and also as
+// "event" events.  Each event is an object having `type`.  Events are written
+// to `logger` in `options.logFormat` if it's specified.
+//
+// download() can be canceled with an AbortSignal, or abort().  In-flight page
+// loads and fetches are also canceled.
+class Downloader extends EventEmitter {
+  constructor(options, logger = null) {
+    super();
     this.options_ = options;
-    this.logger_ = logger;
-    this.aborted_ = false;
+    if (logger !== null) {
+      new EventLog(logger, options.logFormat).attach(this);
+    }
+    this.controller_ = new AbortController();
+    this.signal_ = this.controller_.signal;
+    this.report_ = null;
+    this.rateLimiter_ = new RateLimiter(options.rateLimit);
+    this.retryPolicy_ = new RetryPolicy(options);
+    this.supplementaryTypes_ = parseTypes(options.supplementary);
+    this.session_ =
+      options.sessionFile ? new Session(options.sessionFile) : null;
+    this.loggedIn_ = false;
+    this.reloginPromise_ = null;
     this.warnCount_ = 0;
     this.errorCount_ = 0;
   }
 
-  async download(journals) {
-    let opt = {
-      headless: this.options_.headless,
-      handleSIGINT: false
+  // Resolves to a report of the run:
+  //
+  //   status:   0 if no error occurred, otherwise 1
+  //   aborted:  true if it has been aborted
+  //   warnings: The number of warnings
+  //   errors:   The number of errors
+  //   issues:   Issues processed, having `issue`, `dir`, `articles`,
+  //             `queued`, and `error` if the manifest cannot be read
+  //   articles: Outcomes of articles processed, having `issue`, `index`,
+  //             `url`, `title`, `status`, and `path` and `bytes` of the PDF
+  //             file or `error`
+  //
+  // Articles which have been downloaded in previous runs are not included.
+  async download(journals, { signal = null } = {}) {
+    this.report_ = {
+      status: 0,
+      aborted: false,
+      warnings: 0,
+      errors: 0,
+      issues: [],
+      articles: []
     };
-    if (!this.options_.sandbox) {
-      opt.args = ['--no-sandbox', '--disable-setuid-sandbox'];
+    const onAbort = () => this.abort();
+    if (signal !== null) {
+      if (signal.aborted) {
+        this.abort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
     }
     let browser = null;
+    let page = null;
     try {
-      browser = await puppeteer.launch(opt);
-      const page = await browser.newPage();
+      // SIGINT is handled by the caller with abort().
+      browser = await browserFactory.launch(
+        this.options_, { handleSIGINT: false });
+      page = await browserFactory.newPage(browser, this.options_);
       await this.login_(page);
-      await this.downloadJournals_(page, journals);
-      await this.logout_(page);
+      // Tabs opened in the same browser share the login session.
+      const pages = [page];
+      for (let i = 1; i < (this.options_.parallel || 1); ++i) {
+        pages.push(await browserFactory.newPage(browser, this.options_));
+      }
+      await this.downloadJournals_(pages, journals);
     } catch (e) {
       this.error_(e.message);
     }
+    // This is done even after errors or abort() so that the next run doesn't
+    // reach the limit of concurrent logins.
+    if (this.loggedIn_) {
+      await this.finishSession_(page);
+    }
     if (browser) {
       await browser.close();
     }
+    if (signal !== null) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    const status = this.errorCount_ > 0 ? 1 : 0;
+    Object.assign(this.report_, {
+      status,
+      aborted: this.signal_.aborted,
+      warnings: this.warnCount_,
+      errors: this.errorCount_
+    });
     this.info_(`Done: warns(${this.warnCount_}) errors(${this.errorCount_})`);
-    return this.errorCount_ > 0 ? 1 : 0;
+    this.emitEvent_('done', {
+      warnings: this.warnCount_,
+      errors: this.errorCount_,
+      status
+    });
+    return this.report_;
   }
 
   abort() {
-    this.aborted_ = true;
+    this.controller_.abort();
   }
 
+  // Returns what download() would do without logging in, accessing the
+  // network or writing anything:
+  //
+  //   articles: The number of articles
+  //   queued:   The number of articles to be downloaded
+  //   issues:   Issues having `issue`, `dir`, `exists` which is true if the
+  //             folder exists, `cursor` of older versions or null,
+  //             `resumeAt` which is the index of the first article to be
+  //             downloaded or null, `articles`, `queued`, `files`, and
+  //             `error` if the manifest cannot be read
+  //
+  // Each of `files` has `index`, `title`, `url`, `file` relative to the
+  // journal folder, `exists`, `status` in the manifest and `queued`.
+  plan(journals) {
+    const plan = { articles: 0, queued: 0, issues: [] };
+    for (let journal of journals) {
+      const dir =
+            paths.getJournalDir(this.options_.outdir, journal, this.options_);
+      const cursor = this.readCursor_(dir);
+      let manifest;
+      try {
+        manifest = this.openManifest_(dir, journal, { dryRun: true });
+      } catch (e) {
+        plan.issues.push({
+          issue: getJournalId(journal),
+          dir,
+          exists: true,
+          cursor,
+          resumeAt: null,
+          articles: journal.articles.length,
+          queued: 0,
+          files: [],
+          error: e.message
+        });
+        plan.articles += journal.articles.length;
+        continue;
+      }
+      const queue = this.getQueue_(journal, manifest);
+      const articleFiles =
+            paths.getArticleFiles(this.options_.outdir, journal, this.options_);
+      const files = journal.articles.map((article, i) => {
+        const index = paths.getArticleIndex(article, i);
+        const file = articleFiles[i];
+        return {
+          index,
+          title: article.title,
+          url: article.url,
+          file,
+          exists: fs.existsSync(path.join(dir, file)),
+          status: manifest.article(index).status,
+          queued: queue.includes(i)
+        };
+      });
+      const queued = files.filter((f) => f.queued);
+      plan.issues.push({
+        issue: getJournalId(journal),
+        dir,
+        exists: fs.existsSync(dir),
+        cursor,
+        resumeAt: queued.length > 0 ? queued[0].index : null,
+        articles: files.length,
+        queued: queued.length,
+        files
+      });
+      plan.articles += files.length;
+      plan.queued += queued.length;
+    }
+    return plan;
+  }
+
+  // Rejects when aborted without waiting for `promise` so that slow page loads
+  // don't delay the abort.  When `promise` is a navigation of `page`, the
+  // navigation is cancelled by loading a blank page so that it doesn't race
+  // with the logout.
+  abortable_(promise, page = null) {
+    if (this.signal_.aborted) {
+      return Promise.reject(new Error('Aborted'));
+    }
+    return new Promise((resolve, reject) => {
+      let aborted = false;
+      const onAbort = async () => {
+        aborted = true;
+        if (page !== null) {
+          try {
+            await page.goto('about:blank');
+          } catch (e) {
+            // The page may have been closed.
+          }
+        }
+        reject(new Error('Aborted'));
+      };
+      this.signal_.addEventListener('abort', onAbort);
+      Promise.resolve(promise).then((value) => {
+        this.signal_.removeEventListener('abort', onAbort);
+        if (!aborted) {
+          resolve(value);
+        }
+      }, (e) => {
+        this.signal_.removeEventListener('abort', onAbort);
+        // The cancelled navigation is rejected.
+        if (!aborted) {
+          reject(e);
+        }
+      });
+    });
+  }
+
+  // The saved session is used if it's still valid.  When the limit of
+  // concurrent logins is reached, this waits for `options.waitLoginLimit`
+  // minutes and tries again if it's specified.
   async login_(page) {
+    if (await this.restoreSession_(page)) {
+      this.loggedIn_ = true;
+      this.emitEvent_('login', { session: 'restored' });
+      return;
+    }
+    const wait = this.options_.waitLoginLimit || 0;
+    for (let trial = 1; ; ++trial) {
+      try {
+        await this.submitLogin_(page);
+        break;
+      } catch (e) {
+        if (e.reason !== LoginError.CONCURRENCY_LIMIT_REACHED || wait <= 0 ||
+            trial >= MAX_LOGIN_TRIALS || this.signal_.aborted) {
+          throw e;
+        }
+        this.warn_(`Login again after ${wait}m: ${e.message}`, null,
+                   'login-wait', { reason: e.reason, wait: wait * 60 });
+        await sleep(wait * 60, this.signal_);
+      }
+    }
+    this.loggedIn_ = true;
+    this.emitEvent_('login', { session: 'new' });
+    if (this.session_ !== null) {
+      this.session_.save(this.options_.username,
+                         await page.cookies(...SESSION_URLS));
+    }
+  }
+
+  async submitLogin_(page) {
     this.info_('Trying to login to www.nature.com...');
-    await page.goto('https://idp.nature.com/login/natureuser');
+    await this.abortable_(page.goto(LOGIN_URL), page);
     await page.type('#login-username', this.options_.username);
     await page.type('#login-password', this.options_.password);
     // See https://pptr.dev/#?show=api-pageclickselector-options
-    await Promise.all([
+    await this.abortable_(Promise.all([
       page.waitForNavigation(),
       page.click('#login-submit'),
-    ]);
+    ]), page);
     const url = new URL(page.url());
     if (url.hostname == 'idp.nature.com') {
       const error = url.searchParams.get('error');
       let msg = `Failed to login: ${error}`
-      if (error === 'concurrency_limit_reached') {
+      if (error === LoginError.CONCURRENCY_LIMIT_REACHED) {
         msg = `${msg}: Retry after 30m`;
       }
-      throw new Error(msg);
+      throw new LoginError(error, msg);
+    }
+  }
+
+  // The login page redirects to www.nature.com if the session is valid.
+  async restoreSession_(page) {
+    if (this.session_ === null) {
+      return false;
+    }
+    const cookies = this.session_.load(this.options_.username);
+    if (cookies === null) {
+      return false;
+    }
+    this.info_('Restoring the saved login session...');
+    await page.setCookie(...cookies);
+    await this.abortable_(page.goto(LOGIN_URL), page);
+    if (new URL(page.url()).hostname !== 'idp.nature.com') {
+      return true;
+    }
+    this.info_('The saved login session has expired');
+    this.session_.remove();
+    await page.deleteCookie(...cookies);
+    return false;
+  }
+
+  // Only one of tabs logs in again even if the login session has expired in
+  // multiple tabs at the same time.
+  async relogin_(page) {
+    if (this.reloginPromise_ === null) {
+      if (this.session_ !== null) {
+        this.session_.remove();
+      }
+      this.reloginPromise_ = this.login_(page).finally(() => {
+        this.reloginPromise_ = null;
+      });
+    }
+    await this.reloginPromise_;
+  }
+
+  // Logs out unless `options.keepSession` is true.  The saved session is kept
+  // if it failed to log out so that it's used in the next run.
+  async finishSession_(page) {
+    if (this.options_.keepSession && this.session_ !== null) {
+      this.info_('Keeping the login session for the next run');
+      return;
+    }
+    try {
+      await this.logout_(page);
+      this.loggedIn_ = false;
+      if (this.session_ !== null) {
+        this.session_.remove();
+      }
+    } catch (e) {
+      this.error_(`Failed to logout: ${e.message}`);
     }
   }
 
-  async downloadJournals_(page, journals) {
+  async downloadJournals_(pages, journals) {
     try {
       for (let journal of journals) {
-        await this.downloadJournal_(page, journal);
+        await this.downloadJournal_(pages, journal);
       }
     } catch (e) {
       this.error_(e.message);
     }
   }
 
-  async downloadJournal_(page, journal) {
-    const dir = path.join(this.options_.outdir, journal.name,
-                          journal.volume.toString(), journal.issue.toString());
+  // Articles are distributed to the tabs.  Each tab takes the next article
+  // when it has finished the previous one, so articles may finish out of
+  // order.
+  async downloadJournal_(pages, journal) {
+    const dir =
+          paths.getJournalDir(this.options_.outdir, journal, this.options_);
     this.info_(`mkdir -p ${dir}...`);
     mkdirp.sync(dir);
-    const cursor = this.readCursor_(dir);
     const total = journal.articles.length;
-    for (let i = cursor; i < total; ++i) {
-      this.writeCursor_(dir, i);
-      if (this.aborted_) {
-        throw new Error('Aborted');
+    let manifest;
+    try {
+      manifest = this.openManifest_(dir, journal);
+    } catch (e) {
+      // Only this issue fails so that the following issues are downloaded.
+      this.error_(e.message);
+      this.report_.issues.push({
+        issue: getJournalId(journal),
+        dir,
+        articles: total,
+        queued: 0,
+        error: e.message
+      });
+      return;
+    }
+    const queue = this.getQueue_(journal, manifest);
+    const issue = {
+      issue: getJournalId(journal),
+      dir,
+      articles: total,
+      queued: queue.length
+    };
+    this.report_.issues.push(issue);
+    this.emitEvent_('issue-start', issue);
+    const worker = async (page) => {
+      while (queue.length > 0) {
+        if (this.signal_.aborted) {
+          throw new Error('Aborted');
+        }
+        const i = queue.shift();
+        const article = journal.articles[i];
+        await this.downloadArticleWithRetry_(
+          page, journal, article, paths.getArticleIndex(article, i), dir,
+          manifest, i + 1, total);
       }
-      await this.downloadArticleWithRetry_(
-        page, journal.articles[i], dir, i + 1, total);
+    };
+    // Wait for all tabs before throwing an error so that no tab keeps running
+    // after returning from this method.
+    const errors = await Promise.all(
+      pages.map((page) => worker(page).then(() => null, (e) => e)));
+    const error = errors.find((e) => e !== null);
+    if (error) {
+      throw error;
     }
-    this.removeCursor_(dir);
   }
 
-  async downloadArticleWithRetry_(page, article, dir, count, total) {
-    const maxTrial = 1 + this.options_.retry;
+  // Returns positions of articles to be downloaded in `journal.articles`.
+  getQueue_(journal, manifest) {
+    const doneOptions = {
+      supplementary: this.supplementaryTypes_ !== null,
+      redoSkipped: this.options_.redoSkipped
+    };
+    const queue = [];
+    journal.articles.forEach((article, i) => {
+      if (!manifest.isDone(paths.getArticleIndex(article, i), doneOptions)) {
+        queue.push(i);
+      }
+    });
+    return queue;
+  }
+
+  // `index` is the index of the article in the issue, and `count` is the
+  // position in the articles to be downloaded.  They differ when articles have
+  // been filtered.
+  async downloadArticleWithRetry_(
+    page, journal, article, index, dir, manifest, count, total) {
+    manifest.update(index, {
+      status: Status.DOWNLOADING,
+      error: null,
+      startedAt: moment().format(),
+      finishedAt: null
+    });
+    const maxTrial = 1 + this.retryPolicy_.retries;
+    const fields = {
+      issue: getJournalId(journal),
+      index,
+      url: article.url,
+      title: article.title
+    };
+    this.emitEvent_(
+      'article-start', fields, new Progress(count, total, 1, maxTrial));
     for (let trial = 0; trial < maxTrial; ++trial) {
       const progress = new Progress(count, total, trial + 1, maxTrial);
       try {
-        await this.downloadArticle_(page, article, dir, progress);
+        const result = await this.downloadArticle_(
+          page, journal, article, index, dir, progress);
+        manifest.update(index, Object.assign(result, {
+          finishedAt: moment().format()
+        }));
+        const outcome = Object.assign({ status: result.status }, fields);
+        if (result.status === Status.DOWNLOADED) {
+          Object.assign(outcome, {
+            path: path.join(dir, result.file),
+            bytes: result.size
+          });
+          this.emitEvent_('saved', outcome, progress);
+        } else {
+          outcome.error = result.error;
+          this.warn_(result.error, progress, 'skipped', outcome);
+        }
+        this.report_.articles.push(outcome);
         break;
       } catch (e) {
-        if (trial < this.options_.retry) {
-          const retryInterval = this.options_.retryInterval;
-          if (retryInterval > 0) {
-            this.warn_(`Retry after ${retryInterval}s: ${e.message}`, progress);
-            await sleep(retryInterval);
-          } else {
-            this.warn_(`Retry: ${e.message}`, progress);
+        if (this.signal_.aborted) {
+          this.suspendArticle_(manifest, index, fields);
+          throw e;
+        }
+        const { action, delay } = this.retryPolicy_.decide(e, trial + 1);
+        if (action === Action.FAIL) {
+          this.failArticle_(manifest, index, fields, e, progress);
+          break;
+        }
+        try {
+          await this.waitForRetry_(page, e, action, delay, progress, fields);
+        } catch (waitError) {
+          if (this.signal_.aborted) {
+            this.suspendArticle_(manifest, index, fields);
+            throw waitError;
           }
-        } else {
-          this.error_(`Failed: ${e.message}`, progress);
+          // Failed to login again.  Other articles may succeed after the
+          // login session has been restored in another tab.
+          this.failArticle_(manifest, index, fields, waitError, progress);
+          break;
         }
       }
     }
   }
 
-  async downloadArticle_(page, article, dir, progress) {
+  // Logs in again, or waits for `delay` seconds before the next trial.
+  async waitForRetry_(page, e, action, delay, progress, fields) {
+    const retryFields = Object.assign({ kind: e.kind || null }, fields);
+    if (action === Action.RELOGIN) {
+      this.warn_(`Login again: ${e.message}`, progress,
+                 'retry', Object.assign({ wait: 0 }, retryFields));
+      await this.relogin_(page);
+    } else if (delay > 0) {
+      this.warn_(`Retry after ${Math.ceil(delay)}s: ${e.message}`,
+                 progress, 'retry',
+                 Object.assign({ wait: delay }, retryFields));
+      await sleep(delay, this.signal_);
+    } else {
+      this.warn_(`Retry: ${e.message}`, progress,
+                 'retry', Object.assign({ wait: 0 }, retryFields));
+    }
+  }
+
+  // The article is downloaded again in the next run.
+  suspendArticle_(manifest, index, fields) {
+    manifest.update(index, { status: Status.PENDING, startedAt: null });
+    this.report_.articles.push(
+      Object.assign({ status: Status.PENDING }, fields));
+  }
+
+  failArticle_(manifest, index, fields, e, progress) {
+    const outcome = Object.assign(
+      { status: Status.FAILED }, fields, { error: e.message });
+    this.error_(`Failed: ${e.message}`, progress, 'failed',
+                Object.assign({ kind: e.kind || null }, outcome));
+    this.report_.articles.push(outcome);
+    manifest.update(index, {
+      status: Status.FAILED,
+      error: e.message,
+      finishedAt: moment().format()
+    });
+  }
+
+  async downloadArticle_(page, journal, article, index, dir, progress) {
     this.info_(`Loading ${article.url}...`, progress);
-    await page.goto(article.url);
+    await this.abortable_(this.rateLimiter_.wait());
+    RetryPolicy.checkPageResponse(
+      await this.abortable_(page.goto(article.url), page));
 
     this.info_(`Looking for a PDF file...`, progress);
     const pdfUrl = await this.findPdfUrl_(page);
     if (!pdfUrl) {
-      this.warn_(`No PDF file found`, progress);
-      return;
+      return { status: Status.SKIPPED, error: 'No PDF file found' };
     }
 
-    const sanitized = sanitizeFilename(article.title).trim();
-    const pdfFile = `0${progress.count}`.substr(-2) + ` ${sanitized}.pdf`
-    const pdfPath = path.join(dir, pdfFile);
+    // The file may be in a sub-folder of the journal folder.
+    const pdfFile = paths.getArticleFile(
+      this.options_.outdir, journal, article, index, this.options_);
 
     this.info_(`Fetching ${pdfUrl}...`, progress);
-    const buf = await this.fetch_(page, pdfUrl);
-
-    this.info_(`Saving as ${pdfFile}...`, progress);
-    fs.writeFileSync(pdfPath, buf);
+    const { size, sha256 } = await this.fetchFile_(
+      page, pdfUrl, dir, pdfFile, progress, (res) => {
+        pdf.checkResponse(res);
+        pdf.checkContent(res.head, res.size, this.options_.minPdfSize);
+      });
+
+    let supplementary = null;
+    if (this.supplementaryTypes_ !== null) {
+      supplementary =
+        await this.downloadSupplementary_(page, dir, pdfFile, progress);
+    }
 
     if (this.options_.sleep > 0) {
       this.info_(`Sleep ${this.options_.sleep}s...`, progress);
-      await sleep(this.options_.sleep);
+      await sleep(this.options_.sleep, this.signal_);
+    }
+
+    const result = {
+      status: Status.DOWNLOADED,
+      pdfUrl,
+      file: pdfFile,
+      size,
+      sha256
+    };
+    if (supplementary !== null) {
+      result.supplementary = supplementary;
+    }
+    return result;
+  }
+
+  // Failures of supplementary files are recorded in the result, and don't
+  // make the article fail except for authentication errors.
+  async downloadSupplementary_(page, dir, pdfFile, progress) {
+    this.info_(`Looking for supplementary files...`, progress);
+    const types = this.supplementaryTypes_;
+    const links = (await page.evaluate(findSupplementaryOnBrowser))
+          .filter((link) => types.includes(getType(link.url)));
+    const basename =
+          path.join(path.dirname(pdfFile), path.basename(pdfFile, '.pdf'));
+    const counts = {};
+    const results = [];
+    for (let link of links) {
+      counts[link.kind] = (counts[link.kind] || 0) + 1;
+      const type = getType(link.url);
+      const label = SUPPLEMENTARY_LABELS[link.kind] + counts[link.kind];
+      const file = `${basename} - ${label}.${type}`;
+      const result = {
+        kind: link.kind,
+        title: link.title,
+        url: link.url,
+        file
+      };
+      this.info_(`Fetching ${link.url}...`, progress);
+      try {
+        const { size, sha256 } = await this.fetchFile_(
+          page, link.url, dir, file, progress, (res) => {
+            pdf.checkStatus(res);
+            if (type === 'pdf') {
+              pdf.checkContent(res.head, res.size, this.options_.minPdfSize);
+            } else if (res.size === 0) {
+              throw new Error('Empty file');
+            }
+          });
+        Object.assign(result, { status: Status.DOWNLOADED, size, sha256 });
+      } catch (e) {
+        if (e.kind === Kind.AUTH_EXPIRED) {
+          throw e;
+        }
+        this.warn_(`Failed to download ${file}: ${e.message}`, progress);
+        Object.assign(result, { status: Status.FAILED, error: e.message });
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  // The body is written into a temporary file, and then renamed after it has
+  // been validated by `check`.  So a file having the final name is always
+  // complete.
+  async fetchFile_(page, url, dir, file, progress, check) {
+    const filePath = path.join(dir, file);
+    const tmpPath = `${filePath}.part`;
+    mkdirp.sync(path.dirname(filePath));
+
+    await this.abortable_(this.rateLimiter_.wait());
+    let res = null;
+    try {
+      res = await this.fetch_(page, url, tmpPath);
+    } catch (e) {
+      this.removeFile_(tmpPath);
+      throw e;
+    }
+
+    this.info_(`Validating ${res.size} bytes...`, progress);
+    try {
+      check(res);
+    } catch (e) {
+      this.quarantine_(dir, file, tmpPath, res, progress);
+      throw e;
     }
+
+    this.info_(`Saving as ${file}...`, progress);
+    fs.renameSync(tmpPath, filePath);
+    return { size: res.size, sha256: res.sha256 };
   }
 
   async findPdfUrl_(page) {
@@ -174,28 +690,74 @@ class Downloader {
 
   // NOTE:
   // At this moment, Puppeteer has no official methods to download data linked
-  // from the current page.
-  async fetch_(page, url) {
-    const dataUrl = await page.evaluate(fetchOnBrowser, url);
-    return this.parseDataUrl_(dataUrl);
+  // from the current page.  The file is fetched outside the browser with the
+  // cookies of the logged-in session, and streamed into `file`.
+  async fetch_(page, url, file) {
+    const userAgent =
+          this.options_.userAgent || await page.browser().userAgent();
+    return await http.download(url, file, {
+      headers: {
+        'User-Agent': userAgent,
+        'Referer': page.url()
+      },
+      proxy: this.options_.proxy,
+      timeout: browserFactory.getTimeout(this.options_),
+      cookie: async (url) => {
+        const cookies = await page.cookies(url);
+        return cookies.map((c) => `${c.name}=${c.value}`).join('; ');
+      },
+      signal: this.signal_
+    });
   }
 
-  parseDataUrl_(dataUrl) {
-    const matches = dataUrl.match(/^data:(.+);base64,(.+)$/);
-    if (matches === null) {
-      throw new Error('Invalid data URL');
+  // Bad responses are kept in the "quarantine" folder for investigation.
+  quarantine_(dir, file, tmpPath, res, progress) {
+    if (res.size === 0) {
+      this.removeFile_(tmpPath);
+      return;
+    }
+    const isHtml = /^text\/html/.test(res.contentType || '');
+    const ext = isHtml ? '.html' : '.bin';
+    const quarantineFile =
+          path.join('quarantine', path.parse(file).name + ext);
+    this.info_(`Quarantining as ${quarantineFile}...`, progress);
+    mkdirp.sync(path.join(dir, 'quarantine'));
+    fs.renameSync(tmpPath, path.join(dir, quarantineFile));
+  }
+
+  removeFile_(filePath) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
     }
-    return Buffer.from(matches[2], 'base64');
   }
 
   async logout_(page) {
     this.info_('Logging out from www.nature.com...');
-    await page.goto('https://idp.nature.com/logout/natureuser');
+    await page.goto(LOGOUT_URL);
   }
 
-  // Private methods below are used for improving the performance when
-  // downloading a journal again after aborting to download the journal in some
-  // reason.
+  // Older versions saved only the index of the currently downloading article
+  // into a file named "cursor".  Articles before the cursor are recorded as
+  // downloaded in the manifest, and then the cursor file is removed.  Nothing
+  // is written when `dryRun` is true.
+
+  openManifest_(dir, journal, { dryRun = false } = {}) {
+    const manifest = Manifest.open(dir, journal);
+    const cursor = this.readCursor_(dir);
+    if (cursor !== null) {
+      for (let index = 1; index <= cursor; ++index) {
+        const entry = manifest.article(index);
+        if (entry !== null && entry.status === Status.PENDING) {
+          entry.status = Status.DOWNLOADED;
+        }
+      }
+      if (!dryRun) {
+        manifest.save();
+        this.removeCursor_(dir);
+      }
+    }
+    return manifest;
+  }
 
   getCursorPath_(dir) {
     return path.join(dir, 'cursor');
@@ -204,47 +766,66 @@ class Downloader {
   readCursor_(dir) {
     const cursorPath = this.getCursorPath_(dir);
     if (!fs.existsSync(cursorPath)) {
-      return 0;
+      return null;
     }
     return parseInt(fs.readFileSync(cursorPath, { encoding: 'utf8' }));
   }
 
-  writeCursor_(dir, id) {
-    const cursorPath = this.getCursorPath_(dir);
-    fs.writeFileSync(cursorPath, String(id));
-  }
-
   removeCursor_(dir) {
     const cursorPath = this.getCursorPath_(dir);
     fs.unlinkSync(cursorPath);
   }
 
-  // Logging
+  // Events
+
+  emitEvent_(type, fields = {}, progress = null) {
+    const event = EventLog.makeEvent(type, fields, progress);
+    this.emit(type, event);
+    this.emit('event', event);
+  }
+
+  // Messages are emitted as "log" events.
 
   info_(msg, progress = null) {
-    if (progress) {
-      msg = `${progress.indicator}: ${msg}`;
-    }
-    this.logger_.info(`${moment().format()}: ${msg}`);
+    this.emitEvent_('log', { level: 'info', message: msg }, progress);
   }
 
-  warn_(msg, progress = null) {
-    if (progress) {
-      msg = `${progress.indicator}: ${msg}`;
-    }
-    this.logger_.warn(chalk.yellow(`${moment().format()}: ${msg}`));
+  // Warnings and errors having their own event types are emitted as events of
+  // `type` having `fields`.
+  warn_(msg, progress = null, type = 'log', fields = {}) {
     this.warnCount_++;
+    this.emitEvent_(type, Object.assign(
+      {}, fields, { level: 'warning', message: msg }), progress);
   }
 
-  error_(msg, progress = null) {
-    if (progress) {
-      msg = `${progress.indicator}: ${msg}`;
-    }
-    this.logger_.error(chalk.red(`${moment().format()}: ${msg}`));
+  error_(msg, progress = null, type = 'log', fields = {}) {
     this.errorCount_++;
+    this.emitEvent_(type, Object.assign(
+      {}, fields, { level: 'error', message: msg }), progress);
   }
 }
 
+// Helpers
+
+// Returns an array of file types, or null if no supplementary file should be
+// downloaded.
+function parseTypes(value) {
+  if (!value) {
+    return null;
+  }
+  if (value === true) {
+    return DEFAULT_SUPPLEMENTARY_TYPES;
+  }
+  const types = Array.isArray(value) ? value : String(value).split(',');
+  return types
+    .map((type) => type.trim().replace(/^\./, '').toLowerCase())
+    .filter((type) => type.length > 0);
+}
+
+function getType(url) {
+  return path.extname(new URL(url).pathname).slice(1).toLowerCase();
+}
+
 // Scripts executed on the browser
 
 // istanbul ignore next
@@ -263,25 +844,30 @@ function findPdfUrlOnBrowser() {
 }
 
 // istanbul ignore next
-async function fetchOnBrowser(url) {
-  // Remove the scheme part from the url in order to avoid the mixed content
-  // error.
-  const fetchUrl = url.replace(/^\w+:/, '');
-  const res = await fetch(fetchUrl, {
-    method: 'GET',
-    cache: 'no-cache',
-    // Options below are needed for avoiding an authentication failure
-    // before downloading.
-    mode: 'cors',
-    credentials: 'include'
-  });
-  const blob = await res.blob();
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => resolve(e.target.result);
-    reader.onerror = (e) => reject(e);
-    reader.readAsDataURL(blob);
-  });
+function findSupplementaryOnBrowser() {
+  const sections = [
+    ['supplementary',
+     '[data-title^="Supplementary" i], #supplementary-information'],
+    ['source-data', '[data-title^="Source data" i], #source-data'],
+    ['extended-data', '[data-title^="Extended data" i], #extended-data']
+  ];
+  const seen = new Set();
+  const links = [];
+  for (let [kind, selector] of sections) {
+    for (let section of document.querySelectorAll(selector)) {
+      for (let elem of section.querySelectorAll('a[href], img[src]')) {
+        // Extended Data figures are shown as resized images.
+        const url = (elem.href || elem.src).replace(/\/lw\d+\//, '/full/');
+        if (seen.has(url)) {
+          continue;
+        }
+        seen.add(url);
+        const title = (elem.innerText || elem.alt || '').trim();
+        links.push({ kind, title, url });
+      }
+    }
+  }
+  return links;
 }
 
 // exports
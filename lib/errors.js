@@ -0,0 +1,64 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+// Kinds of errors occurred while loading a page or downloading a file.
+const Kind = {
+  // The login session has expired, or a login page or a paywall has been
+  // served instead of the file.
+  AUTH_EXPIRED: 'auth-expired',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not-found',
+  TOO_MANY_REQUESTS: 'too-many-requests',
+  SERVER_ERROR: 'server-error',
+  // Any other HTTP errors.
+  HTTP_ERROR: 'http-error',
+  // The response is not a PDF file, or is truncated.
+  INVALID_PDF: 'invalid-pdf'
+};
+
+// `retryAfter` is the delay in seconds specified by the Retry-After header.
+class DownloadError extends Error {
+  constructor(kind, message, status = null, retryAfter = null) {
+    super(message);
+    this.name = 'DownloadError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  // Returns an error for the HTTP error `status`.
+  static fromStatus(status, retryAfter = null) {
+    let kind = Kind.HTTP_ERROR;
+    if (status === 401) {
+      kind = Kind.AUTH_EXPIRED;
+    } else if (status === 403) {
+      kind = Kind.FORBIDDEN;
+    } else if (status === 404 || status === 410) {
+      kind = Kind.NOT_FOUND;
+    } else if (status === 429) {
+      kind = Kind.TOO_MANY_REQUESTS;
+    } else if (status >= 500) {
+      kind = Kind.SERVER_ERROR;
+    }
+    return new DownloadError(kind, `HTTP ${status}`, status, retryAfter);
+  }
+}
+
+DownloadError.Kind = Kind;
+
+// `reason` is the error code in the URL of the login page such as
+// "concurrency_limit_reached".
+class LoginError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'LoginError';
+    this.reason = reason;
+  }
+}
+
+LoginError.CONCURRENCY_LIMIT_REACHED = 'concurrency_limit_reached';
+
+module.exports.DownloadError = DownloadError;
+module.exports.LoginError = LoginError;
@@ -0,0 +1,90 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chalk = require('chalk');
+const moment = require('moment');
+
+const FORMATS = ['text', 'json'];
+
+// Each event has `time` and `type`, and fields depending on the type.  See
+// README.md for the list of events.
+//
+// `progress` is a Progress object used in Downloader.
+function makeEvent(type, fields = {}, progress = null) {
+  const event = Object.assign({ time: moment().format(), type }, fields);
+  if (progress !== null) {
+    Object.assign(event, {
+      count: progress.count,
+      total: progress.total,
+      trial: progress.trial,
+      maxTrial: progress.maxTrial
+    });
+  }
+  return event;
+}
+
+function getIndicator(event) {
+  const progInd = [
+    ` ${event.count}`.substr(-2),
+    ` ${event.total}`.substr(-2)
+  ].join('/');
+  const trialInd = `${event.trial}/${event.maxTrial}`;
+  return `${progInd}: ${trialInd}`;
+}
+
+// Writes events to `logger`.
+//
+// In the "text" format, only messages of events having `message` are written
+// for humans.  In the "json" format, events are written in the JSON Lines
+// format for monitoring tools, except for informational messages.
+class EventLog {
+  constructor(logger, format = 'text') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported log format: ${format}`);
+    }
+    this.logger_ = logger;
+    this.json = format === 'json';
+  }
+
+  // Writes events emitted as "event" events from `emitter` such as
+  // Downloader.
+  attach(emitter) {
+    emitter.on('event', (event) => this.write(event));
+    return this;
+  }
+
+  emit(type, fields = {}, progress = null) {
+    this.write(makeEvent(type, fields, progress));
+  }
+
+  write(event) {
+    if (this.json) {
+      if (event.type !== 'log' || event.level !== 'info') {
+        this.logger_.info(JSON.stringify(event));
+      }
+      return;
+    }
+    if (event.message === undefined) {
+      return;
+    }
+    let msg = event.message;
+    if (event.count !== undefined) {
+      msg = `${getIndicator(event)}: ${msg}`;
+    }
+    msg = `${event.time}: ${msg}`;
+    if (event.level === 'warning') {
+      this.logger_.warn(chalk.yellow(msg));
+    } else if (event.level === 'error') {
+      this.logger_.error(chalk.red(msg));
+    } else {
+      this.logger_.info(msg);
+    }
+  }
+}
+
+EventLog.FORMATS = FORMATS;
+EventLog.makeEvent = makeEvent;
+
+module.exports = EventLog;
@@ -0,0 +1,104 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const paths = require('./paths');
+
+// Compares strings ignoring cases, accents and redundant spaces.
+function normalize(str) {
+  return String(str).normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Types are separated by commas, but names are not because they may contain
+// commas.
+function toList(value, separator = null) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .reduce((acc, v) => {
+      return acc.concat(separator ? String(v).split(separator) : [v]);
+    }, [])
+    .map(normalize)
+    .filter((v) => v.length > 0);
+}
+
+// Makes a predicate for articles in the output of `njtool scrape journal`.
+//
+// `options` has the following properties:
+//
+//   includeType: Types of articles to be included such as "Article"
+//   excludeType: Types of articles to be excluded such as "News & Views"
+//   titleMatch:  Regular expression which titles of articles must match
+//   author:      Names of authors.  Articles including one of the authors are
+//                included.
+//
+// Types and names are compared ignoring cases and accents.  Articles without
+// types or authors, which are scraped from journal pages in the legacy layout,
+// are excluded when `includeType` or `author` is specified.
+function createFilter(options = {}) {
+  const includeTypes = toList(options.includeType, ',');
+  const excludeTypes = toList(options.excludeType, ',');
+  const authors = toList(options.author);
+  let titleRegExp = null;
+  if (options.titleMatch) {
+    try {
+      titleRegExp = new RegExp(options.titleMatch, 'i');
+    } catch (e) {
+      throw new Error(`Invalid regular expression: ${options.titleMatch}`);
+    }
+  }
+  return (article) => {
+    const type = article.type ? normalize(article.type) : null;
+    if (includeTypes.length > 0 && !includeTypes.includes(type)) {
+      return false;
+    }
+    if (excludeTypes.length > 0 && excludeTypes.includes(type)) {
+      return false;
+    }
+    if (titleRegExp !== null && !titleRegExp.test(article.title || '')) {
+      return false;
+    }
+    if (authors.length > 0) {
+      const names = (article.authors || []).map(normalize);
+      return authors.some((author) => names.some((n) => n.includes(author)));
+    }
+    return true;
+  };
+}
+
+function hasFilters(options = {}) {
+  return toList(options.includeType, ',').length > 0 ||
+    toList(options.excludeType, ',').length > 0 ||
+    !!options.titleMatch ||
+    toList(options.author).length > 0;
+}
+
+// Returns copies of the journals having only articles which pass the filters.
+// Each article keeps its index in the issue as `index` so that file names of
+// the articles don't change.  Journals having an error are returned as is.
+function filterJournals(journals, options = {}) {
+  const filter = createFilter(options);
+  return journals.map((journal) => {
+    if (journal.error !== undefined || !Array.isArray(journal.articles)) {
+      return journal;
+    }
+    const articles = journal.articles
+      .map((article, i) => {
+        return Object.assign(
+          {}, article, { index: paths.getArticleIndex(article, i) });
+      })
+      .filter(filter);
+    return Object.assign({}, journal, { articles });
+  });
+}
+
+module.exports.createFilter = createFilter;
+module.exports.hasFilters = hasFilters;
+module.exports.filterJournals = filterJournals;
@@ -0,0 +1,193 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const moment = require('moment');
+const Volume = require('./volume');
+const sites = require('./sites');
+
+// Upper limit of the number of IDs in a range in order to detect typos like
+// "nature:555:7694-76990".
+const MAX_RANGE = 1000;
+
+const WILDCARD = '*';
+
+// Parses "<n>" or "<first>-<last>" into an array of numbers.
+function parseNumbers(spec, id) {
+  const matches = /^(\d+)(?:-(\d+))?$/.exec(spec);
+  if (matches === null) {
+    throw new Error(`Invalid ID: ${id}`);
+  }
+  const first = parseInt(matches[1]);
+  const last = matches[2] === undefined ? first : parseInt(matches[2]);
+  if (first > last) {
+    throw new Error(`Invalid range: ${id}`);
+  }
+  if (last - first >= MAX_RANGE) {
+    throw new Error(`Too large range: ${id}`);
+  }
+  const numbers = [];
+  for (let n = first; n <= last; n++) {
+    numbers.push(n);
+  }
+  return numbers;
+}
+
+function split(id, length) {
+  if (typeof id !== 'string') {
+    throw new Error(`Invalid ID: ${id}`);
+  }
+  const components = id.trim().split(':');
+  if (components.length !== length) {
+    throw new Error(`Invalid ID: ${id}`);
+  }
+  // Throws an error for unsupported journals.
+  sites.get(components[0]);
+  return components;
+}
+
+function unique(ids) {
+  return Array.from(new Set(ids));
+}
+
+// Expands volume IDs like "nature:550-555".
+function expandVolumeIds(ids) {
+  return unique(ids.reduce((acc, id) => {
+    const [name, volumes] = split(id, 2);
+    return acc.concat(parseNumbers(volumes, id).map((v) => `${name}:${v}`));
+  }, []));
+}
+
+// Expands journal IDs like "nature:555:7694-7700".
+//
+// Wildcards like "nature:555:*" are not allowed.  Use resolveJournalIds()
+// instead.
+function expandJournalIds(ids) {
+  return unique(ids.reduce((acc, id) => {
+    const [name, volumes, issues] = split(id, 3);
+    if (issues === WILDCARD) {
+      throw new Error(`Wildcards need to be resolved: ${id}`);
+    }
+    const volumeNumbers = parseNumbers(volumes, id);
+    if (volumeNumbers.length > 1) {
+      // Issue numbers are not reset in each volume.
+      throw new Error(`Volume ranges are allowed only with "*": ${id}`);
+    }
+    return acc.concat(parseNumbers(issues, id)
+                      .map((i) => `${name}:${volumeNumbers[0]}:${i}`));
+  }, []));
+}
+
+function isWildcard(id) {
+  return typeof id === 'string' && id.trim().endsWith(`:${WILDCARD}`);
+}
+
+// Returns IDs of volumes in a wildcard like "nature:550-555:*".
+function getVolumeIds(id) {
+  return expandVolumeIds([id.trim().slice(0, -WILDCARD.length - 1)]);
+}
+
+// Throws an Error if any of journal IDs given to resolveJournalIds() is
+// invalid, without scraping volumes.
+function checkJournalIds(ids) {
+  expandJournalIds(ids.filter((id) => !isWildcard(id)));
+  ids.filter(isWildcard).forEach(getVolumeIds);
+}
+
+// Expands journal IDs including wildcards like "nature:555:*" and
+// "nature:550-555:*".  Issues in each volume are resolved by scraping the
+// volume page.
+//
+// See Journal.scrape() for the `pool` argument.
+async function resolveJournalIds(ids, options, pool = null) {
+  const volumeIds = unique(ids.filter(isWildcard).reduce(
+    (acc, id) => acc.concat(getVolumeIds(id)), []));
+  const volumes = await Promise.all(
+    Volume.from(volumeIds).map(async (v) => await v.scrape(options, pool)));
+  const issues = new Map();
+  for (let volume of volumes) {
+    const volumeId = `${volume.name}:${volume.volume}`;
+    if (volume.error !== undefined) {
+      throw new Error(`Failed to resolve ${volumeId}:*: ${volume.error}`);
+    }
+    issues.set(volumeId, volume.issues.map((i) => `${volumeId}:${i.id}`));
+  }
+
+  return unique(ids.reduce((acc, id) => {
+    if (!isWildcard(id)) {
+      return acc.concat(expandJournalIds([id]));
+    }
+    return getVolumeIds(id)
+      .reduce((list, volumeId) => list.concat(issues.get(volumeId)), acc);
+  }, []));
+}
+
+// Returns an ID like "nature:555:7694" of a journal having `name`, `volume`
+// and `issue`.
+function getJournalId(journal) {
+  return `${journal.name}:${journal.volume}:${journal.issue}`;
+}
+
+// Throws an Error unless `date` is in the "YYYY-MM-DD" format.
+function checkDate(date) {
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return date;
+}
+
+// Selects issues in the output of Volume.scrape() by their dates.
+// `options.since` and `options.until` are in the "YYYY-MM-DD" format, and both
+// are inclusive.
+function filterIssues(issues, options = {}) {
+  const since = options.since ? checkDate(options.since) : null;
+  const until = options.until ? checkDate(options.until) : null;
+  return issues
+    .filter((i) => since === null || i.date >= since)
+    .filter((i) => until === null || i.date <= until);
+}
+
+// Returns journal IDs of issues in the output of Volume.scrape().  Volumes
+// having an error are ignored.  See filterIssues() for `options`.
+function getJournalIds(volumes, options = {}) {
+  return volumes
+    .filter((v) => v.error === undefined)
+    .reduce((acc, v) => {
+      return acc.concat(filterIssues(v.issues, options)
+        .map((i) => ({ name: v.name, volume: v.volume, issue: i.id })));
+    }, [])
+    .sort((a, b) => a.name.localeCompare(b.name) ||
+          a.volume - b.volume || a.issue - b.issue)
+    .map(getJournalId);
+}
+
+// Returns journal IDs of the latest `count` issues of the journal in the
+// order of publication.  The current volume is found in the volume list page,
+// and previous volumes are scraped until `count` issues are found.
+//
+// See Journal.scrape() for the `pool` argument.
+async function findLatestJournalIds(name, count, options, pool = null) {
+  let volume = await Volume.findCurrent(name, options, pool);
+  let journalIds = [];
+  while (journalIds.length < count && volume > 0) {
+    const metadata = await new Volume(`${name}:${volume}`)
+          .scrape(options, pool);
+    if (metadata.error !== undefined) {
+      throw new Error(`Failed to scrape ${name}:${volume}: ${metadata.error}`);
+    }
+    journalIds = getJournalIds([metadata]).concat(journalIds);
+    volume--;
+  }
+  return journalIds.slice(-count);
+}
+
+module.exports.expandVolumeIds = expandVolumeIds;
+module.exports.expandJournalIds = expandJournalIds;
+module.exports.checkJournalIds = checkJournalIds;
+module.exports.resolveJournalIds = resolveJournalIds;
+module.exports.getJournalId = getJournalId;
+module.exports.checkDate = checkDate;
+module.exports.filterIssues = filterIssues;
+module.exports.getJournalIds = getJournalIds;
+module.exports.findLatestJournalIds = findLatestJournalIds;
@@ -3,6 +3,25 @@
 
 'use strict';
 
+module.exports.AbortController = require('./abort-controller');
+module.exports.Article = require('./article');
+module.exports.browserFactory = require('./browser-factory');
+module.exports.BrowserPool = require('./browser-pool');
+module.exports.bundle = require('./bundle');
+module.exports.citation = require('./citation');
+module.exports.config = require('./config');
+module.exports.credentials = require('./credentials');
 module.exports.Downloader = require('./downloader');
+module.exports.EventLog = require('./event-log');
+module.exports.filter = require('./filter');
+module.exports.ids = require('./ids');
 module.exports.Journal = require('./journal');
+module.exports.Manifest = require('./manifest');
+module.exports.paths = require('./paths');
+module.exports.report = require('./report');
+module.exports.RetryPolicy = require('./retry-policy');
+module.exports.Session = require('./session');
+module.exports.sites = require('./sites');
+module.exports.Sync = require('./sync');
+module.exports.verify = require('./verify');
 module.exports.Volume = require('./volume');
@@ -4,47 +4,20 @@
 'use strict';
 
 const moment = require('moment');
-const puppeteer = require('puppeteer');
-
-// istanbul ignore next
-function collectArticles2017() {
-  const article_elements = document.querySelectorAll('#content article');
-  return Array.from(article_elements).map((article) => {
-    const title = article.querySelector('a').innerText;
-    const url = article.querySelector('a').href;
-    return { title, url };
-  });
-}
-
-// istanbul ignore next
-function collectArticles2018() {
-  const article_elements = document.querySelectorAll('article');
-  return Array.from(article_elements).map((article) => {
-    const title = article.querySelector('a').innerText;
-    const type_element = article.querySelector('[data-test="article.type"]');
-    const type = type_element ? type_element.innerText : null;
-    const date_element = article.querySelector('time');
-    const date = date_element ? date_element.dateTime : null;
-    const url = article.querySelector('a').href;
-    const desc_element = article.querySelector('[itemprop="description"] p');
-    const description = desc_element ? desc_element.innerText : null;
-    const author_elements =
-      article.querySelectorAll('[data-test="author-list"] [itemprop="name"]');
-    const authors = Array.from(author_elements).map((elem) => elem.innerText);
-    return { title, type, date, description, authors, url };
-  });
-}
+const BrowserPool = require('./browser-pool');
+const { DownloadError } = require('./errors');
+const RetryPolicy = require('./retry-policy');
+const sites = require('./sites');
 
 class Journal {
   constructor(id) {
     const [name, volume, issue] = id.split(':');
-    if (name === undefined || volume === undefined || issue == undefined) {
+    // parseInt() accepts trailing characters like "7694-7700".
+    if (name === undefined || !/^\d+$/.test(volume) || !/^\d+$/.test(issue)) {
       throw new Error(`Invalid journal ID: ${id}`);
     }
-    if (name != 'nature') {
-      throw new Error(`Not supported at this moment: ${name}`);
-    }
 
+    this._site = sites.get(name);
     this.name = name;
     this.volume = parseInt(volume);
     this.issue = parseInt(issue);
@@ -63,11 +36,7 @@ class Journal {
   }
 
   get url() {
-    const base = 'https://www.nature.com';
-    if (this.volume < 553) {
-      return `${base}/${this.name}/journal/v${this.volume}/n${this.issue}/index.html`;
-    }
-    return `${base}/${this.name}/volumes/${this.volume}/issues/${this.issue}`;
+    return this._site.getIssueUrl(this.volume, this.issue);
   }
 
   get metadata() {
@@ -87,42 +56,41 @@ class Journal {
     return metadata;
   }
 
-  async scrape(options) {
-    let opt = {
-      headless: options.headless
-    };
-    if (!options.sandbox) {
-      opt.args = ['--no-sandbox', '--disable-setuid-sandbox'];
+  // The browser pool is shared with other scrapers if it's specified.
+  // Otherwise, a browser is launched only for this scraper.
+  //
+  // Waits between retries are aborted by `options.signal` if it's specified.
+  async scrape(options, pool = null) {
+    const ownPool = pool === null;
+    if (ownPool) {
+      pool = new BrowserPool(options);
     }
-    let browser = null;
     try {
-      browser = await puppeteer.launch(opt);
-      const page = await browser.newPage();
-      await page.goto(this.url);
-      const title = await page.title();
-      if (title.startsWith('Page not found')) {
-        throw new Error('Not found');
-      }
-      let date = this._getDateFromTitle(title);
-      if (!date) {
-        date = await this._getDateFromPage(page);
-      }
-      const articles = await page.evaluate(this._collectArticlesFunction);
-      this.content = { date, articles };
+      const policy = new RetryPolicy(options);
+      await policy.run(() => pool.withPage(async (page) => {
+        RetryPolicy.checkPageResponse(await page.goto(this.url));
+        const title = await page.title();
+        if (title.startsWith('Page not found')) {
+          throw new DownloadError(DownloadError.Kind.NOT_FOUND, 'Not found');
+        }
+        let date = this._getDateFromTitle(title);
+        if (!date) {
+          date = await this._getDateFromPage(page);
+        }
+        const articles = await page.evaluate(this._collectArticlesFunction);
+        this.content = { date, articles };
+      }), { signal: options.signal });
     } catch (e) {
       this.error = e.message;
     }
-    if (browser) {
-      await browser.close();
+    if (ownPool) {
+      await pool.close();
     }
     return this.metadata;
   }
 
   get _collectArticlesFunction() {
-    if (this.volume < 553) {
-      return collectArticles2017;
-    }
-    return collectArticles2018;
+    return this._site.getLayout(this.volume).collectArticles;
   }
 
   _getDateFromTitle(title) {
@@ -134,10 +102,8 @@ class Journal {
   }
 
   async _getDateFromPage(page) {
-    const date = await page.evaluate(() => {
-      // istanbul ignore next
-      return document.querySelector('#issue-meta .more').innerText;
-    });
+    const date =
+          await page.evaluate(this._site.getLayout(this.volume).collectDate);
     return this._convertDate(date);
   }
 
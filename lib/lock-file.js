@@ -0,0 +1,148 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const moment = require('moment');
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM means that the process exists but is owned by another user.
+    return e.code === 'EPERM';
+  }
+}
+
+// Lock files which cannot be read are treated as held until they get older
+// than this, since they may be being written by another process.
+const MIN_STALE_AGE = 10 * 1000;  // ms
+
+// A lock file containing the ID of the process holding the lock.
+class LockFile {
+  constructor(path) {
+    this.path = path;
+    // Identifies the lock file created by this object.
+    this.token_ = null;
+  }
+
+  // Throws an Error object if another process holds the lock.  A lock file
+  // left by a process which no longer exists is removed.
+  acquire() {
+    const owner = {
+      pid: process.pid,
+      createdAt: moment().format(),
+      token: crypto.randomBytes(8).toString('hex')
+    };
+    // The owner is written into a temporary file which is linked to the lock
+    // file at once, so that other processes never see an empty lock file.
+    const tmpPath = `${this.path}.${owner.token}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(owner), { flag: 'wx' });
+    try {
+      if (!this.link_(tmpPath)) {
+        this.removeStale_(owner.token);
+        if (!this.link_(tmpPath)) {
+          throw new Error(`Locked by another process: ${this.path}`);
+        }
+      }
+    } finally {
+      fs.unlinkSync(tmpPath);
+    }
+    this.token_ = owner.token;
+  }
+
+  release() {
+    if (this.token_ === null) {
+      return;
+    }
+    const lock = this.read_();
+    if (lock !== null && lock.owner !== null &&
+        lock.owner.token === this.token_) {
+      fs.unlinkSync(this.path);
+    }
+    this.token_ = null;
+  }
+
+  // Returns false if the lock file exists.
+  link_(tmpPath) {
+    try {
+      fs.linkSync(tmpPath, this.path);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  // Removes the lock file if it's stale, or throws an Error object.
+  removeStale_(token) {
+    const lock = this.read_();
+    if (lock === null) {
+      // Removed by another process.
+      return;
+    }
+    if (lock.owner !== null && isAlive(lock.owner.pid)) {
+      throw new Error(
+        `Locked by another process (pid ${lock.owner.pid}): ${this.path}`);
+    }
+    if (lock.owner === null && Date.now() - lock.stat.mtimeMs < MIN_STALE_AGE) {
+      throw new Error(`Locked by another process: ${this.path}`);
+    }
+    // Other processes may be taking over the stale lock at the same time.
+    // The lock file is moved aside at once so that only one of them removes
+    // it, and put back if it's no longer the stale one.
+    const stalePath = `${this.path}.${token}.stale`;
+    try {
+      fs.renameSync(this.path, stalePath);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return;
+    }
+    const moved = fs.statSync(stalePath);
+    if (moved.ino !== lock.stat.ino || moved.dev !== lock.stat.dev) {
+      this.link_(stalePath);
+      fs.unlinkSync(stalePath);
+      throw new Error(`Locked by another process: ${this.path}`);
+    }
+    fs.unlinkSync(stalePath);
+  }
+
+  // Returns `{ stat, owner }` of the lock file, or null if it doesn't exist.
+  // `owner` is null if the lock file cannot be read.
+  read_() {
+    let fd = null;
+    try {
+      fd = fs.openSync(this.path, 'r');
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return null;
+    }
+    try {
+      // The same file is read even if it's replaced in the meantime.
+      const stat = fs.fstatSync(fd);
+      let owner = null;
+      try {
+        owner = JSON.parse(fs.readFileSync(fd, { encoding: 'utf8' }));
+      } catch (e) {
+        // Broken.
+      }
+      if (owner === null || !Number.isInteger(owner.pid)) {
+        owner = null;
+      }
+      return { stat, owner };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+module.exports = LockFile;
@@ -0,0 +1,163 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const moment = require('moment');
+const path = require('path');
+const paths = require('./paths');
+
+const FILENAME = 'manifest.json';
+const VERSION = 1;
+
+const Status = {
+  PENDING: 'pending',
+  DOWNLOADING: 'downloading',
+  DOWNLOADED: 'downloaded',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// A record of downloads saved as `manifest.json` in each issue folder.
+//
+// Articles are identified by their 1-based index in the issue.  The manifest
+// is saved every time an article is updated so that it can be used for
+// resuming downloads after the command has terminated for some error, or by
+// Ctrl-C.
+class Manifest {
+  constructor(dir, data) {
+    this.dir = dir;
+    this.data_ = data;
+  }
+
+  static getPath(dir) {
+    return path.join(dir, FILENAME);
+  }
+
+  // Returns null if no manifest exists in the folder.  Throws an Error if the
+  // manifest is broken.
+  static load(dir) {
+    const manifestPath = Manifest.getPath(dir);
+    if (!fs.existsSync(manifestPath)) {
+      return null;
+    }
+    const json = fs.readFileSync(manifestPath, { encoding: 'utf8' });
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Broken manifest: ${manifestPath}: ${e.message}`);
+    }
+    return new Manifest(dir, data);
+  }
+
+  // Loads the manifest in the folder, or creates a new one, and then updates
+  // it with the journal metadata.  The manifest is not saved at this point.
+  static open(dir, journal) {
+    let manifest = Manifest.load(dir);
+    if (manifest === null) {
+      manifest = new Manifest(dir, {
+        version: VERSION,
+        journal: null,
+        articles: [],
+        createdAt: moment().format()
+      });
+    }
+    manifest.merge_(journal);
+    return manifest;
+  }
+
+  get journal() {
+    return this.data_.journal;
+  }
+
+  get articles() {
+    return this.data_.articles;
+  }
+
+  article(index) {
+    return this.data_.articles.find((entry) => entry.index === index) || null;
+  }
+
+  // Returns true if the article doesn't need to be downloaded again.
+  //
+  // When `options.supplementary` is true, articles whose supplementary files
+  // have not been downloaded yet, or failed to be downloaded are not done.
+  // When `options.redoSkipped` is true, skipped articles are not done.
+  isDone(index, options = {}) {
+    const entry = this.article(index);
+    if (entry === null) {
+      return false;
+    }
+    switch (entry.status) {
+    case Status.SKIPPED:
+      return !options.redoSkipped;
+    case Status.DOWNLOADED:
+      // `file` is null when the article was migrated from a cursor file.
+      if (entry.file && !fs.existsSync(path.join(this.dir, entry.file))) {
+        return false;
+      }
+      if (options.supplementary) {
+        return Array.isArray(entry.supplementary) &&
+          entry.supplementary.every((s) => s.status === Status.DOWNLOADED);
+      }
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  update(index, props) {
+    const entry = this.article(index);
+    if (entry === null) {
+      throw new Error(`No such article in the manifest: ${index}`);
+    }
+    Object.assign(entry, props);
+    this.save();
+  }
+
+  // The file is replaced at once so that it's never broken.
+  save() {
+    this.data_.updatedAt = moment().format();
+    const manifestPath = Manifest.getPath(this.dir);
+    const tmpPath = `${manifestPath}.part`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data_, null, 2));
+    fs.renameSync(tmpPath, manifestPath);
+  }
+
+  merge_(journal) {
+    this.data_.journal = {
+      name: journal.name,
+      volume: journal.volume,
+      issue: journal.issue,
+      date: journal.date,
+      url: journal.url
+    };
+    journal.articles.forEach((article, i) => {
+      const index = paths.getArticleIndex(article, i);
+      const entry = this.article(index);
+      if (entry !== null && entry.url === article.url) {
+        entry.title = article.title;
+        return;
+      }
+      // The article has been changed since the last run.
+      const newEntry = {
+        index,
+        title: article.title,
+        url: article.url,
+        status: Status.PENDING
+      };
+      if (entry === null) {
+        this.data_.articles.push(newEntry);
+      } else {
+        this.data_.articles[this.data_.articles.indexOf(entry)] = newEntry;
+      }
+    });
+    this.data_.articles.sort((a, b) => a.index - b.index);
+  }
+}
+
+Manifest.Status = Status;
+
+module.exports = Manifest;
@@ -0,0 +1,245 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const path = require('path');
+const sanitizeFilename = require('sanitize-filename');
+const Article = require('./article');
+const sites = require('./sites');
+
+const DEFAULT_DIR_TEMPLATE = '{name}/{volume}/{issue}';
+const DEFAULT_FILE_TEMPLATE = '{index} {title}.pdf';
+
+// Most file systems limit the length of each path component to 255 bytes.
+const MAX_COMPONENT_LENGTH = 255;
+
+// Room left in file names and paths of PDF files for names derived from them:
+// ".part" of temporary files, " - SI1.xlsx" of supplementary files and the
+// "quarantine" folder.
+const MAX_SUFFIX_LENGTH = 32;
+
+// PATH_MAX on Linux.  Use a smaller budget such as 260 for Windows.
+const DEFAULT_MAX_PATH_LENGTH = 4096;
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const JOURNAL_PLACEHOLDERS =
+      ['name', 'journal', 'volume', 'issue', 'date', 'year', 'month', 'day'];
+const ARTICLE_PLACEHOLDERS = JOURNAL_PLACEHOLDERS.concat(
+  ['index', 'type', 'title', 'firstAuthor', 'doi']);
+
+function byteLength(str) {
+  return Buffer.byteLength(str, 'utf8');
+}
+
+// Truncates `str` into `maxBytes` bytes without breaking characters.
+function truncate(str, maxBytes) {
+  let result = '';
+  for (let c of str) {
+    if (byteLength(result + c) > maxBytes) {
+      break;
+    }
+    result += c;
+  }
+  return result.trim();
+}
+
+function sanitize(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'unknown';
+  }
+  const sanitized = sanitizeFilename(String(value)).trim();
+  return sanitized.length > 0 ? sanitized : 'unknown';
+}
+
+function getDoi(url) {
+  try {
+    return new Article(url).doi;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getJournalValues(journal) {
+  const date = journal.date || '';
+  const [year, month, day] = date.split('-');
+  return {
+    name: journal.name,
+    journal: sites.has(journal.name) ?
+      sites.get(journal.name).title : journal.name,
+    volume: journal.volume,
+    issue: journal.issue,
+    date,
+    year,
+    month,
+    day
+  };
+}
+
+function getArticleValues(journal, article, index) {
+  const values = getJournalValues(journal);
+  if (article.date) {
+    const [year, month, day] = article.date.split('-');
+    Object.assign(values, { date: article.date, year, month, day });
+  }
+  return Object.assign(values, {
+    index: String(index).padStart(2, '0'),
+    type: article.type,
+    title: article.title,
+    firstAuthor: (article.authors || [])[0],
+    // Slashes are removed from titles, but DOIs are more readable with
+    // underscores.
+    doi: (article.doi || getDoi(article.url) || '').replace(/\//g, '_')
+  });
+}
+
+// Renders `template` with sanitized values.  Slashes in the template separate
+// folders.
+//
+// When a path component or the whole path including `baseDir` is longer than
+// the limits, the longest value in it is truncated until the path fits in the
+// limits.  `reserved` bytes are left in the last component and the whole path.
+function render(template, values, baseDir, maxPathLength, reserved = 0) {
+  const components = template.split('/').filter((c) => c.length > 0);
+  const keysOf = (component) => {
+    return (component.match(PLACEHOLDER) || []).map((m) => m.slice(1, -1));
+  };
+  const sanitized = {};
+  for (let key of keysOf(template)) {
+    if (!(key in values)) {
+      throw new Error(`Unknown placeholder in ${template}: {${key}}`);
+    }
+    sanitized[key] = sanitize(values[key]);
+  }
+
+  for (;;) {
+    const rendered = components.map((component) => {
+      return component.replace(PLACEHOLDER, (match, key) => sanitized[key]);
+    });
+    const result = path.join(...rendered);
+    let excess =
+          byteLength(path.join(baseDir, result)) + reserved - maxPathLength;
+    let keys = keysOf(template);
+    const limits = rendered.map((c, i) => {
+      return MAX_COMPONENT_LENGTH - (i === rendered.length - 1 ? reserved : 0);
+    });
+    const i = rendered.findIndex((c, j) => byteLength(c) > limits[j]);
+    if (i >= 0) {
+      excess = byteLength(rendered[i]) - limits[i];
+      keys = keysOf(components[i]);
+    } else if (excess <= 0) {
+      return result;
+    }
+    const longest = keys.reduce((acc, key) => {
+      return acc === null || byteLength(sanitized[key]) >
+        byteLength(sanitized[acc]) ? key : acc;
+    }, null);
+    const length = longest === null ? 0 : byteLength(sanitized[longest]);
+    if (length <= excess) {
+      throw new Error(`Too long path: ${path.join(baseDir, result)}`);
+    }
+    sanitized[longest] = truncate(sanitized[longest], length - excess);
+  }
+}
+
+function checkTemplate(template, placeholders) {
+  for (let match of template.match(PLACEHOLDER) || []) {
+    if (!placeholders.includes(match.slice(1, -1))) {
+      throw new Error(`Unknown placeholder in ${template}: ${match}`);
+    }
+  }
+}
+
+// Throws an Error object if `options.dirTemplate` or `options.fileTemplate`
+// has unknown placeholders so that mistakes are found before downloading.
+function checkTemplates(options = {}) {
+  checkTemplate(options.dirTemplate || DEFAULT_DIR_TEMPLATE,
+                JOURNAL_PLACEHOLDERS);
+  checkTemplate(options.fileTemplate || DEFAULT_FILE_TEMPLATE,
+                ARTICLE_PLACEHOLDERS);
+}
+
+// Returns the path to the folder where files of the journal are saved.
+//
+// `options.dirTemplate` can contain placeholders: {name}, {journal},
+// {volume}, {issue}, {date}, {year}, {month} and {day}.
+function getJournalDir(outdir, journal, options = {}) {
+  const template = options.dirTemplate || DEFAULT_DIR_TEMPLATE;
+  const maxPathLength = options.maxPathLength || DEFAULT_MAX_PATH_LENGTH;
+  return path.join(outdir, render(
+    template, getJournalValues(journal), outdir, maxPathLength));
+}
+
+// Returns the 1-based index of the article in the issue.  Articles keep their
+// original indices as `index` when they are filtered by `njtool filter`.
+function getArticleIndex(article, i) {
+  return article.index || i + 1;
+}
+
+function renderArticleFile(dir, journal, article, index, options, suffix) {
+  let template = options.fileTemplate || DEFAULT_FILE_TEMPLATE;
+  if (!template.toLowerCase().endsWith('.pdf')) {
+    template += '.pdf';
+  }
+  const maxPathLength = options.maxPathLength || DEFAULT_MAX_PATH_LENGTH;
+  const file = render(template, getArticleValues(journal, article, index),
+                      dir, maxPathLength,
+                      MAX_SUFFIX_LENGTH + byteLength(suffix));
+  const ext = file.slice(-'.pdf'.length);
+  return file.slice(0, -ext.length) + suffix + ext;
+}
+
+// Returns paths to the PDF files of `journal.articles` relative to the
+// journal folder.
+//
+// Articles may have the same path with templates such as "{type}/{title}.pdf".
+// The first one in the issue keeps the path, and " (<index>)" is appended to
+// the names of the others.  Paths are compared ignoring case for file systems
+// which ignore it.
+function getArticleFiles(outdir, journal, options = {}) {
+  const dir = getJournalDir(outdir, journal, options);
+  const used = new Set();
+  return journal.articles.map((article, i) => {
+    const index = getArticleIndex(article, i);
+    let file = renderArticleFile(dir, journal, article, index, options, '');
+    if (used.has(file.toLowerCase())) {
+      file = renderArticleFile(
+        dir, journal, article, index, options, ` (${index})`);
+    }
+    used.add(file.toLowerCase());
+    return file;
+  });
+}
+
+// Returns the path to the PDF file of the article at `index` (1-based) in the
+// journal, relative to the journal folder.
+//
+// `options.fileTemplate` can contain the placeholders for the folder, and
+// {index}, {type}, {title}, {firstAuthor} and {doi}.  {date} is the date of
+// the article if it's available.  Slashes in the template make sub-folders.
+// The ".pdf" extension is appended if the template doesn't have it.  See
+// getArticleFiles() for articles having the same path.
+//
+// The file name and the path are shorter than the limits by
+// MAX_SUFFIX_LENGTH bytes.
+function getArticleFile(outdir, journal, article, index, options = {}) {
+  const articles = journal.articles || [];
+  const i = articles.findIndex((a, j) => getArticleIndex(a, j) === index);
+  if (i >= 0) {
+    return getArticleFiles(outdir, journal, options)[i];
+  }
+  const dir = getJournalDir(outdir, journal, options);
+  return renderArticleFile(dir, journal, article, index, options, '');
+}
+
+module.exports.DEFAULT_DIR_TEMPLATE = DEFAULT_DIR_TEMPLATE;
+module.exports.DEFAULT_FILE_TEMPLATE = DEFAULT_FILE_TEMPLATE;
+module.exports.MAX_SUFFIX_LENGTH = MAX_SUFFIX_LENGTH;
+module.exports.JOURNAL_PLACEHOLDERS = JOURNAL_PLACEHOLDERS;
+module.exports.ARTICLE_PLACEHOLDERS = ARTICLE_PLACEHOLDERS;
+module.exports.checkTemplates = checkTemplates;
+module.exports.getJournalDir = getJournalDir;
+module.exports.getArticleIndex = getArticleIndex;
+module.exports.getArticleFiles = getArticleFiles;
+module.exports.getArticleFile = getArticleFile;
@@ -0,0 +1,70 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const { URL } = require('url');
+const { DownloadError } = require('./errors');
+const { parseRetryAfter } = require('./retry-policy');
+
+const Kind = DownloadError.Kind;
+
+const MAGIC = Buffer.from('%PDF-');
+
+// Files smaller than this are treated as truncated.
+const MIN_SIZE = 1024;
+
+const LOGIN_HOSTNAME = 'idp.nature.com';
+
+// Throws a DownloadError if the response is an error, or a login page.
+//
+// `res` is an object having `status`, `contentType`, `url` which is the URL
+// after redirects, and `retryAfter` which is the Retry-After header.
+function checkStatus(res) {
+  const status = res.status;
+  if (status < 200 || status >= 300) {
+    throw DownloadError.fromStatus(status, parseRetryAfter(res.retryAfter));
+  }
+  if (res.url && new URL(res.url).hostname === LOGIN_HOSTNAME) {
+    throw new DownloadError(
+      Kind.AUTH_EXPIRED, 'Redirected to the login page', status);
+  }
+  // A login page or a paywall is served as an HTML page with the status 200.
+  if (getMimeType(res) === 'text/html') {
+    throw new DownloadError(
+      Kind.AUTH_EXPIRED, 'An HTML page has been served', status);
+  }
+}
+
+// Throws a DownloadError if the response doesn't seem to be a PDF file.
+function checkResponse(res) {
+  checkStatus(res);
+  const contentType = getMimeType(res);
+  if (contentType !== 'application/pdf' &&
+      contentType !== 'application/octet-stream') {
+    throw new DownloadError(
+      Kind.INVALID_PDF, `Unexpected content type: ${contentType}`, res.status);
+  }
+}
+
+function getMimeType(res) {
+  return (res.contentType || '').split(';')[0].trim();
+}
+
+// Throws a DownloadError if the content is not a PDF file.
+//
+// `head` is a Buffer containing at least the first few bytes of the file.
+function checkContent(head, size, minSize = MIN_SIZE) {
+  if (!head.slice(0, MAGIC.length).equals(MAGIC)) {
+    throw new DownloadError(Kind.INVALID_PDF, 'No PDF header');
+  }
+  if (size < minSize) {
+    throw new DownloadError(
+      Kind.INVALID_PDF, `Too small: ${size} bytes < ${minSize} bytes`);
+  }
+}
+
+module.exports.MIN_SIZE = MIN_SIZE;
+module.exports.checkStatus = checkStatus;
+module.exports.checkResponse = checkResponse;
+module.exports.checkContent = checkContent;
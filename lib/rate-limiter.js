@@ -0,0 +1,32 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const sleep = require('./sleep');
+
+// Spaces requests evenly so that no more than `requestsPerMinute` requests are
+// started in a minute.  No limit is applied when it's 0.
+//
+// A slot is reserved synchronously in wait() so that the limit is shared
+// correctly between callers running concurrently.
+class RateLimiter {
+  constructor(requestsPerMinute = 0) {
+    this.interval_ = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.next_ = 0;
+  }
+
+  async wait() {
+    if (this.interval_ === 0) {
+      return;
+    }
+    const now = Date.now();
+    const at = Math.max(now, this.next_);
+    this.next_ = at + this.interval_;
+    if (at > now) {
+      await sleep((at - now) / 1000);
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,94 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const moment = require('moment');
+const { getJournalId } = require('./ids');
+const paths = require('./paths');
+
+const VERSION = 1;
+
+// Outcomes included in report files.
+const STATUSES = ['failed', 'skipped'];
+
+// Returns data of a report file made from the report of Downloader.download().
+//
+// Each of failed and skipped articles has its outcome, and metadata of the
+// journal and the article taken from `journals` so that it can be downloaded
+// again without scraping the journal.
+function create(report, journals) {
+  const articles = report.articles
+    .filter((outcome) => STATUSES.includes(outcome.status))
+    .map((outcome) => {
+      const journal =
+            journals.find((j) => getJournalId(j) === outcome.issue) || null;
+      const entry = Object.assign({}, outcome, {
+        journal: null,
+        article: null
+      });
+      if (journal !== null) {
+        entry.journal = Object.assign({}, journal);
+        delete entry.journal.articles;
+        entry.article = journal.articles.find((article, i) => {
+          return paths.getArticleIndex(article, i) === outcome.index;
+        }) || null;
+      }
+      return entry;
+    });
+  return {
+    version: VERSION,
+    createdAt: moment().format(),
+    status: report.status,
+    aborted: report.aborted,
+    warnings: report.warnings,
+    errors: report.errors,
+    issues: report.issues,
+    articles
+  };
+}
+
+// The file is replaced at once so that it's never broken.
+function save(file, data) {
+  const tmpPath = `${file}.part`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, file);
+}
+
+function load(file) {
+  let data = null;
+  try {
+    data = JSON.parse(fs.readFileSync(file, { encoding: 'utf8' }));
+  } catch (e) {
+    throw new Error(`Invalid report file: ${file}: ${e.message}`);
+  }
+  if (data === null || data.version !== VERSION ||
+      !Array.isArray(data.articles)) {
+    throw new Error(`Invalid report file: ${file}`);
+  }
+  return data;
+}
+
+// Returns journals having only articles in the report.  Articles keep their
+// indices in the issues so that their file names don't change.
+function getJournals(data) {
+  const journals = new Map();
+  for (let entry of data.articles) {
+    if (entry.journal === null || entry.article === null) {
+      continue;
+    }
+    const id = getJournalId(entry.journal);
+    if (!journals.has(id)) {
+      journals.set(id, Object.assign({}, entry.journal, { articles: [] }));
+    }
+    journals.get(id).articles.push(
+      Object.assign({}, entry.article, { index: entry.index }));
+  }
+  return Array.from(journals.values());
+}
+
+module.exports.create = create;
+module.exports.save = save;
+module.exports.load = load;
+module.exports.getJournals = getJournals;
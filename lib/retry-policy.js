@@ -0,0 +1,150 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const { DownloadError } = require('./errors');
+const sleep = require('./sleep');
+
+const Kind = DownloadError.Kind;
+
+const Action = {
+  RETRY: 'retry',
+  // Login again, and then retry.
+  RELOGIN: 'relogin',
+  FAIL: 'fail'
+};
+
+const DEFAULT_INTERVAL = 5;
+const DEFAULT_MAX_INTERVAL = 300;
+
+// Delays are randomized by +-20% so that tabs failed at the same time don't
+// retry at the same time.
+const JITTER = 0.2;
+
+// Errors which are never fixed by retrying.
+const FATAL_KINDS = [Kind.FORBIDDEN, Kind.NOT_FOUND, Kind.HTTP_ERROR];
+
+// Server errors, 429, invalid PDF files, navigation timeouts and network
+// errors are retried.
+function classify(error) {
+  if (error.kind === Kind.AUTH_EXPIRED) {
+    return Action.RELOGIN;
+  }
+  if (FATAL_KINDS.includes(error.kind)) {
+    return Action.FAIL;
+  }
+  return Action.RETRY;
+}
+
+// Returns the delay in seconds specified by the Retry-After header, which is
+// the number of seconds or an HTTP date.  Returns null if it's not specified
+// or invalid.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value);
+  }
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+// Throws a DownloadError if `response` of page.goto() has an error status.
+// Puppeteer returns null for some navigations such as anchor navigations.
+function checkPageResponse(response) {
+  if (!response) {
+    return;
+  }
+  const status = response.status();
+  if (status >= 400) {
+    throw DownloadError.fromStatus(
+      status, parseRetryAfter(response.headers()['retry-after']));
+  }
+}
+
+// Decides whether and when failed operations are tried again.
+//
+// `options.retry` is the maximum number of retries.  The delay before the n-th
+// retry is `options.retryInterval * 2^(n-1)` seconds with jitter, limited to
+// `options.maxRetryInterval` seconds.  The Retry-After delay specified by the
+// server is respected even if it's longer than the limit.
+class RetryPolicy {
+  constructor(options = {}, random = Math.random) {
+    this.retries_ = Math.max(0, parseInt(options.retry) || 0);
+    this.interval_ = getNumber(options.retryInterval, DEFAULT_INTERVAL);
+    this.maxInterval_ =
+      getNumber(options.maxRetryInterval, DEFAULT_MAX_INTERVAL);
+    this.random_ = random;
+  }
+
+  get retries() {
+    return this.retries_;
+  }
+
+  // Returns `{ action, delay }` for `error` occurred in the `trial`-th trial
+  // (1-based).  `delay` is in seconds.
+  decide(error, trial) {
+    let action = classify(error);
+    if (trial > this.retries_) {
+      action = Action.FAIL;
+    }
+    const delay = action === Action.RETRY ?
+          this.getDelay(trial, error.retryAfter) : 0;
+    return { action, delay };
+  }
+
+  getDelay(retry, retryAfter = null) {
+    let delay = 0;
+    if (this.interval_ > 0) {
+      delay = this.interval_ * Math.pow(2, retry - 1);
+      delay *= 1 + JITTER * (2 * this.random_() - 1);
+    }
+    delay = Math.min(delay, this.maxInterval_);
+    if (retryAfter !== null && retryAfter !== undefined) {
+      delay = Math.max(delay, retryAfter);
+    }
+    return Math.round(delay * 1000) / 1000;
+  }
+
+  // Calls `fn` until it succeeds, and returns its result.  Errors requiring
+  // a login are not retried.  `onRetry(error, delay)` is called before each
+  // retry, and the wait before it is aborted by `signal`.
+  async run(fn, { onRetry = null, signal = null } = {}) {
+    for (let trial = 1; ; ++trial) {
+      try {
+        return await fn();
+      } catch (e) {
+        const { action, delay } = this.decide(e, trial);
+        if (action !== Action.RETRY) {
+          throw e;
+        }
+        if (onRetry !== null) {
+          onRetry(e, delay);
+        }
+        if (delay > 0) {
+          await sleep(delay, signal);
+        }
+      }
+    }
+  }
+}
+
+function getNumber(value, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  return isNaN(number) ? defaultValue : number;
+}
+
+RetryPolicy.Action = Action;
+RetryPolicy.classify = classify;
+RetryPolicy.parseRetryAfter = parseRetryAfter;
+RetryPolicy.checkPageResponse = checkPageResponse;
+
+module.exports = RetryPolicy;
@@ -0,0 +1,74 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const moment = require('moment');
+const path = require('path');
+const config = require('./config');
+
+const VERSION = 1;
+
+// Cookies of the login session saved in a file readable only by the owner.
+//
+// The session is restored in the next run so that it doesn't need to log in
+// again.  This also prevents the limit of concurrent logins from being
+// reached when the previous run has terminated without logging out.
+class Session {
+  constructor(file) {
+    this.file_ = file;
+  }
+
+  static getDefaultPath(env = process.env) {
+    return path.join(path.dirname(config.getDefaultPath(env)), 'session.json');
+  }
+
+  // Returns cookies which have not expired yet, or null if no cookie for
+  // `username` is saved.
+  load(username) {
+    if (!fs.existsSync(this.file_)) {
+      return null;
+    }
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file_, { encoding: 'utf8' }));
+    } catch (e) {
+      // The file is broken.  It will be overwritten.
+      return null;
+    }
+    if (data.version !== VERSION || data.username !== username ||
+        !Array.isArray(data.cookies)) {
+      return null;
+    }
+    const now = Date.now() / 1000;
+    // Session cookies have no expiration date.
+    const cookies =
+          data.cookies.filter((c) => c.expires < 0 || c.expires > now);
+    return cookies.length > 0 ? cookies : null;
+  }
+
+  save(username, cookies) {
+    mkdirp.sync(path.dirname(this.file_));
+    const tmpPath = `${this.file_}.part`;
+    const data = {
+      version: VERSION,
+      username,
+      cookies,
+      savedAt: moment().format()
+    };
+    fs.writeFileSync(tmpPath, JSON.stringify(data), { mode: 0o600 });
+    // The mode is not changed when the file already exists.
+    fs.chmodSync(tmpPath, 0o600);
+    fs.renameSync(tmpPath, this.file_);
+  }
+
+  remove() {
+    if (fs.existsSync(this.file_)) {
+      fs.unlinkSync(this.file_);
+    }
+  }
+}
+
+module.exports = Session;
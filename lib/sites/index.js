@@ -0,0 +1,49 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const Site = require('./site');
+const { createSite } = require('./nature-platform');
+
+const sites = new Map();
+
+// Registers a site adapter.  `site` is either a Site object, or properties
+// described in site.js.  Journals and volumes are looked up by the first
+// component of their IDs.
+function register(site) {
+  if (!(site instanceof Site)) {
+    site = new Site(site);
+  }
+  sites.set(site.name, site);
+  return site;
+}
+
+function get(name) {
+  const site = sites.get(name);
+  if (site === undefined) {
+    throw new Error(`Not supported at this moment: ${name}`);
+  }
+  return site;
+}
+
+function has(name) {
+  return sites.has(name);
+}
+
+function names() {
+  return Array.from(sites.keys());
+}
+
+register(createSite({ name: 'nature', title: 'Nature', since: 553 }));
+register(createSite({ name: 'nphys', title: 'Nature Physics', since: 14 }));
+register(createSite({
+  name: 'ncomms', title: 'Nature Communications', since: 1
+}));
+
+module.exports.Site = Site;
+module.exports.createSite = createSite;
+module.exports.register = register;
+module.exports.get = get;
+module.exports.has = has;
+module.exports.names = names;
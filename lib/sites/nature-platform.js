@@ -0,0 +1,107 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const Site = require('./site');
+
+const BASE_URL = 'https://www.nature.com';
+
+// istanbul ignore next
+function collectArticles2017() {
+  const article_elements = document.querySelectorAll('#content article');
+  return Array.from(article_elements).map((article) => {
+    const title = article.querySelector('a').innerText;
+    const url = article.querySelector('a').href;
+    return { title, url };
+  });
+}
+
+// istanbul ignore next
+function collectArticles2018() {
+  const article_elements = document.querySelectorAll('article');
+  return Array.from(article_elements).map((article) => {
+    const title = article.querySelector('a').innerText;
+    const type_element = article.querySelector('[data-test="article.type"]');
+    const type = type_element ? type_element.innerText : null;
+    const date_element = article.querySelector('time');
+    const date = date_element ? date_element.dateTime : null;
+    const url = article.querySelector('a').href;
+    const desc_element = article.querySelector('[itemprop="description"] p');
+    const description = desc_element ? desc_element.innerText : null;
+    const author_elements =
+      article.querySelectorAll('[data-test="author-list"] [itemprop="name"]');
+    const authors = Array.from(author_elements).map((elem) => elem.innerText);
+    return { title, type, date, description, authors, url };
+  });
+}
+
+// istanbul ignore next
+function collectDate() {
+  return document.querySelector('#issue-meta .more').innerText;
+}
+
+// istanbul ignore next
+function collectIssues() {
+  const issue_elements = document.querySelectorAll('#issue-list > li');
+  return Array.from(issue_elements).map((issue_element) => {
+    const url = issue_element.querySelector('a').href;
+    const img = issue_element.querySelector('a > img').src;
+    const date = issue_element.querySelector('a > h3 > span').innerText;
+    const title = issue_element.querySelector('h3.h3') ?
+          issue_element.querySelector('h3.h3').innerText : null;
+    const id = parseInt(url.split('/').pop());
+    return { id, url, img, date, title };
+  });
+}
+
+// istanbul ignore next
+function collectVolumes() {
+  return Array.from(document.querySelectorAll('a[href*="/volumes/"]'))
+    .map((link) => {
+      const matches = link.pathname.match(/\/volumes\/(\d+)\/?$/);
+      return matches ? parseInt(matches[1]) : null;
+    })
+    .filter((volume) => volume !== null);
+}
+
+// Issue pages used before the site was renewed.
+const LEGACY_LAYOUT = {
+  since: 1,
+  getIssueUrl: (site, volume, issue) =>
+    `${BASE_URL}/${site.name}/journal/v${volume}/n${issue}/index.html`,
+  collectArticles: collectArticles2017,
+  collectDate
+};
+
+const LAYOUT = {
+  getIssueUrl: (site, volume, issue) =>
+    `${BASE_URL}/${site.name}/volumes/${volume}/issues/${issue}`,
+  collectArticles: collectArticles2018,
+  collectDate
+};
+
+// Creates an adapter for a journal published on www.nature.com.
+//
+// `since` is the first volume in the current layout.  Issue pages of older
+// volumes are in the legacy layout.  The legacy layout is not used when
+// `since` is 1.
+function createSite({ name, title, since }) {
+  const layouts = [Object.assign({}, LAYOUT, { since })];
+  if (since > 1) {
+    layouts.unshift(LEGACY_LAYOUT);
+  }
+  return new Site({
+    name,
+    title,
+    layouts,
+    getVolumeUrl: (site, volume) =>
+      `${BASE_URL}/${site.name}/volumes/${volume}`,
+    getVolumeListUrl: (site) => `${BASE_URL}/${site.name}/volumes`,
+    collectIssues,
+    collectVolumes
+  });
+}
+
+module.exports.BASE_URL = BASE_URL;
+module.exports.createSite = createSite;
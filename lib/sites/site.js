@@ -0,0 +1,74 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+// An adapter for a journal family.
+//
+// `props` has the following properties:
+//
+//   name:      The first component of journal and volume IDs such as "nature"
+//   title:     The title of the journal such as "Nature"
+//   layouts:   Array of layout eras
+//   getVolumeUrl(site, volume)
+//   collectIssues:
+//              Function executed on a volume page, which returns an array of
+//              `{ id, url, img, date, title }`
+//   getVolumeListUrl(site):
+//              Optional.  URL of the page listing volumes
+//   collectVolumes:
+//              Optional.  Function executed on the volume list page, which
+//              returns an array of volume numbers
+//
+// Each layout era has the following properties:
+//
+//   since:     The first volume in this layout
+//   getIssueUrl(site, volume, issue)
+//   collectArticles:
+//              Function executed on an issue page, which returns an array of
+//              `{ title, url, type, date, description, authors }`
+//   collectDate:
+//              Function executed on an issue page, which returns the date of
+//              the issue in the "D MMMM YYYY" format.  This is used only when
+//              the page title has no date.
+class Site {
+  constructor(props) {
+    for (let key of ['name', 'title', 'layouts', 'getVolumeUrl']) {
+      if (!props[key]) {
+        throw new Error(`Invalid site adapter: no ${key}`);
+      }
+    }
+    this.name = props.name;
+    this.title = props.title;
+    this.layouts = props.layouts.slice().sort((a, b) => a.since - b.since);
+    this.collectIssues = props.collectIssues || null;
+    this.collectVolumes = props.collectVolumes || null;
+    this.getVolumeUrl_ = props.getVolumeUrl;
+    this.getVolumeListUrl_ = props.getVolumeListUrl || null;
+  }
+
+  getLayout(volume) {
+    const layouts = this.layouts.filter((layout) => layout.since <= volume);
+    if (layouts.length === 0) {
+      throw new Error(`Not supported at this moment: ${this.name}:${volume}`);
+    }
+    return layouts[layouts.length - 1];
+  }
+
+  getIssueUrl(volume, issue) {
+    return this.getLayout(volume).getIssueUrl(this, volume, issue);
+  }
+
+  getVolumeUrl(volume) {
+    return this.getVolumeUrl_(this, volume);
+  }
+
+  getVolumeListUrl() {
+    if (this.getVolumeListUrl_ === null || this.collectVolumes === null) {
+      throw new Error(`No volume list: ${this.name}`);
+    }
+    return this.getVolumeListUrl_(this);
+  }
+}
+
+module.exports = Site;
@@ -3,9 +3,26 @@
 
 'use strict';
 
-// istanbul ignore next
-function sleep(sec) {
-  return new Promise((resolve) => setTimeout(resolve, sec * 1000));
+// Rejects when `signal` is aborted so that the timer doesn't keep the process
+// running.
+function sleep(sec, signal = null) {
+  if (signal === null) {
+    return new Promise((resolve) => setTimeout(resolve, sec * 1000));
+  }
+  if (signal.aborted) {
+    return Promise.reject(new Error('Aborted'));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, sec * 1000);
+    signal.addEventListener('abort', onAbort);
+  });
 }
 
 module.exports = sleep;
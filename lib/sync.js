@@ -0,0 +1,223 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const fs = require('fs');
+const moment = require('moment');
+const path = require('path');
+const AbortController = require('./abort-controller');
+const BrowserPool = require('./browser-pool');
+const Downloader = require('./downloader');
+const EventLog = require('./event-log');
+const Journal = require('./journal');
+const LockFile = require('./lock-file');
+const Manifest = require('./manifest');
+const Volume = require('./volume');
+const ids = require('./ids');
+const paths = require('./paths');
+
+const STATE_FILENAME = 'sync.json';
+const LOCK_FILENAME = 'sync.lock';
+const VERSION = 1;
+
+const Status = Manifest.Status;
+
+function parseJournalId(id) {
+  const [name, volume, issue] = id.split(':');
+  return { name, volume: parseInt(volume), issue: parseInt(issue) };
+}
+
+// Keeps journals in the output folder up to date.
+//
+// The state of the last run is saved as `sync.json` in the output folder.  It
+// contains the last issue found for each journal, and issues which have not
+// been downloaded completely.  Only new issues and those pending issues are
+// scraped and downloaded in each run.  Articles already downloaded are skipped
+// by Downloader as usual.
+//
+// `sync.lock` is created in the output folder while running so that two runs
+// never overlap.
+class Sync {
+  constructor(options, logger) {
+    this.options_ = options;
+    this.logger_ = logger;
+    this.events_ = new EventLog(logger, options.logFormat);
+    this.downloader_ = null;
+    this.aborted_ = false;
+    // Aborts waits between retries of scrapers.
+    this.controller_ = new AbortController();
+    this.scrapeOptions_ =
+      Object.assign({}, options, { signal: this.controller_.signal });
+  }
+
+  static getStatePath(outdir) {
+    return path.join(outdir, STATE_FILENAME);
+  }
+
+  static getLockPath(outdir) {
+    return path.join(outdir, LOCK_FILENAME);
+  }
+
+  // Returns a summary of the run:
+  //
+  //   newIssues: Journal IDs of issues found in this run
+  //   issues:    Results of processed issues
+  //   pending:   Journal IDs of issues which will be processed in the next run
+  async sync(names) {
+    const lock = new LockFile(Sync.getLockPath(this.options_.outdir));
+    lock.acquire();
+    try {
+      return await this.sync_(names);
+    } finally {
+      lock.release();
+    }
+  }
+
+  abort() {
+    this.aborted_ = true;
+    this.controller_.abort();
+    if (this.downloader_) {
+      this.downloader_.abort();
+    }
+  }
+
+  async sync_(names) {
+    const state = this.loadState_();
+    const pool = new BrowserPool(this.options_);
+    let newIssues = [];
+    let journals = [];
+    try {
+      for (let name of names) {
+        this.info_(`Finding new issues of ${name}...`);
+        const found = await this.findNewIssues_(name, state, pool);
+        if (found.length > 0) {
+          const last = parseJournalId(found[found.length - 1]);
+          state.journals[name] = { volume: last.volume, issue: last.issue };
+        }
+        newIssues = newIssues.concat(found);
+      }
+      this.info_(`New issues: ${newIssues.length}`);
+      const targets = Array.from(new Set(state.pending.concat(newIssues)));
+      journals = await Promise.all(Journal.from(targets).map(
+        async (j) => await j.scrape(this.scrapeOptions_, pool)));
+    } finally {
+      await pool.close();
+    }
+
+    const before = journals.map((journal) => this.countArticles_(journal));
+    const available = journals.filter((j) => j.error === undefined);
+    if (available.length > 0 && !this.aborted_) {
+      this.downloader_ = new Downloader(this.options_, this.logger_);
+      await this.downloader_.download(available);
+    }
+    const issues = journals.map((journal, i) => {
+      return this.summarize_(journal, before[i]);
+    });
+
+    state.pending = issues.filter((i) => !i.complete).map((i) => i.id);
+    state.lastRunAt = moment().format();
+    this.saveState_(state);
+    return { newIssues, issues, pending: state.pending };
+  }
+
+  // On the first run, issues published since `options.since` are new.  Only
+  // the latest issue is new if it's not specified.
+  async findNewIssues_(name, state, pool) {
+    const last = state.journals[name] || null;
+    const since = this.options_.since || null;
+    if (last === null && since === null) {
+      return await ids.findLatestJournalIds(
+        name, 1, this.scrapeOptions_, pool);
+    }
+    const options = this.scrapeOptions_;
+    const current = await Volume.findCurrent(name, options, pool);
+    const volumes = [];
+    for (let volume = current; volume > 0; --volume) {
+      const metadata =
+            await new Volume(`${name}:${volume}`).scrape(options, pool);
+      if (metadata.error !== undefined) {
+        throw new Error(
+          `Failed to scrape ${name}:${volume}: ${metadata.error}`);
+      }
+      volumes.push(metadata);
+      if (last !== null ? volume <= last.volume :
+          metadata.issues.some((issue) => issue.date < since)) {
+        break;
+      }
+    }
+    if (last === null) {
+      return ids.getJournalIds(volumes, { since });
+    }
+    return ids.getJournalIds(volumes).filter((id) => {
+      const { volume, issue } = parseJournalId(id);
+      return volume > last.volume ||
+        (volume === last.volume && issue > last.issue);
+    });
+  }
+
+  countArticles_(journal) {
+    const counts = {};
+    for (let status of Object.values(Status)) {
+      counts[status] = 0;
+    }
+    if (journal.error !== undefined) {
+      return counts;
+    }
+    const manifest = Manifest.load(this.getJournalDir_(journal));
+    if (manifest !== null) {
+      for (let entry of manifest.articles) {
+        counts[entry.status]++;
+      }
+    }
+    return counts;
+  }
+
+  summarize_(journal, before) {
+    const id = ids.getJournalId(journal);
+    if (journal.error !== undefined) {
+      return { id, date: null, error: journal.error, complete: false };
+    }
+    const after = this.countArticles_(journal);
+    const manifest = Manifest.load(this.getJournalDir_(journal));
+    const doneOptions = { supplementary: !!this.options_.supplementary };
+    const complete = manifest !== null && journal.articles.every(
+      (article, i) => manifest.isDone(paths.getArticleIndex(article, i),
+                                      doneOptions));
+    return {
+      id,
+      date: journal.date,
+      articles: journal.articles.length,
+      downloaded: after[Status.DOWNLOADED] - before[Status.DOWNLOADED],
+      skipped: after[Status.SKIPPED],
+      failed: after[Status.FAILED],
+      complete
+    };
+  }
+
+  getJournalDir_(journal) {
+    return paths.getJournalDir(this.options_.outdir, journal, this.options_);
+  }
+
+  loadState_() {
+    const statePath = Sync.getStatePath(this.options_.outdir);
+    if (!fs.existsSync(statePath)) {
+      return { version: VERSION, journals: {}, pending: [], lastRunAt: null };
+    }
+    return JSON.parse(fs.readFileSync(statePath, { encoding: 'utf8' }));
+  }
+
+  // The state file is replaced at once so that it's never broken.
+  saveState_(state) {
+    const statePath = Sync.getStatePath(this.options_.outdir);
+    const tmpPath = `${statePath}.part`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, statePath);
+  }
+
+  info_(msg) {
+    this.events_.emit('log', { level: 'info', message: msg });
+  }
+}
+
+module.exports = Sync;
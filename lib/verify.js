@@ -0,0 +1,306 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const path = require('path');
+const { getJournalId } = require('./ids');
+const Manifest = require('./manifest');
+const paths = require('./paths');
+const pdf = require('./pdf');
+
+const Status = Manifest.Status;
+
+const Problem = {
+  // The article has not been downloaded, or its file has been removed.
+  MISSING: 'missing',
+  // The file is not listed in the manifest nor the metadata.
+  UNEXPECTED: 'unexpected',
+  // A cursor file, a ".part" file or an article being downloaded.
+  INTERRUPTED: 'interrupted',
+  // The file is not a PDF file such as an HTML page saved as a PDF file.
+  INVALID_PDF: 'invalid-pdf',
+  // The file is empty, smaller than recorded, or has no end-of-file marker.
+  TRUNCATED: 'truncated',
+  CHECKSUM_MISMATCH: 'checksum-mismatch',
+  BROKEN_MANIFEST: 'broken-manifest'
+};
+
+// Problems which are fixed by resetting the articles in the manifest.
+const FIXABLE_PROBLEMS = [
+  Problem.MISSING, Problem.INTERRUPTED, Problem.INVALID_PDF, Problem.TRUNCATED,
+  Problem.CHECKSUM_MISMATCH
+];
+
+// Made by older versions of Downloader.
+const CURSOR_FILENAME = 'cursor';
+
+// Bad responses are kept here by Downloader for investigation.
+const QUARANTINE_DIRNAME = 'quarantine';
+
+// The end-of-file marker is looked for in the trailing bytes because some
+// PDF files have garbage after it.
+const EOF_MARKER = Buffer.from('%%EOF');
+const EOF_SEARCH_SIZE = 1024;
+
+// Returns issue folders in `outdir` which have a manifest or a cursor file.
+// Sub-folders of issue folders are not searched because they are made by file
+// templates.
+function findIssueDirs(outdir) {
+  const dirs = [];
+  const walk = (dir) => {
+    if (fs.existsSync(Manifest.getPath(dir)) ||
+        fs.existsSync(path.join(dir, CURSOR_FILENAME))) {
+      dirs.push(dir);
+      return;
+    }
+    for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name));
+      }
+    }
+  };
+  walk(outdir);
+  return dirs;
+}
+
+// Verifies issue folders in `outdir`, and returns an array of results.
+//
+// `journals` is the output of `njtool scrape journal`.  Folders of the journals
+// are verified against the metadata, and the other folders are verified
+// against their manifests.  `options` has the template options and
+// `minPdfSize` specified in `njtool download`.
+//
+// Each result has `issue` which is null if it's unknown, `dir` and `problems`.
+// Each problem has `kind`, `index` of the article or null, `file` relative to
+// the issue folder or null, and `message`.
+function verify(outdir, journals = null, options = {}) {
+  options = Object.assign({}, options, { outdir });
+  const journalDirs = new Map();
+  for (let journal of journals || []) {
+    journalDirs.set(paths.getJournalDir(outdir, journal, options), journal);
+  }
+  const dirs = findIssueDirs(outdir);
+  for (let dir of journalDirs.keys()) {
+    if (!dirs.includes(dir)) {
+      dirs.push(dir);
+    }
+  }
+  return dirs.sort().map(
+    (dir) => verifyIssue(dir, journalDirs.get(dir) || null, options));
+}
+
+function verifyIssue(dir, journal, options) {
+  const result = { issue: null, dir, problems: [] };
+  const add = (kind, index, file, message) => {
+    result.problems.push({ kind, index, file, message });
+  };
+
+  let manifest = null;
+  try {
+    manifest = Manifest.load(dir);
+  } catch (e) {
+    add(Problem.BROKEN_MANIFEST, null, 'manifest.json', e.message);
+  }
+  if (journal !== null) {
+    result.issue = getJournalId(journal);
+  } else if (manifest !== null && manifest.journal !== null) {
+    result.issue = getJournalId(manifest.journal);
+  }
+  if (fs.existsSync(path.join(dir, CURSOR_FILENAME))) {
+    add(Problem.INTERRUPTED, null, CURSOR_FILENAME,
+        'Cursor file left by an interrupted download');
+  }
+
+  const known = ['manifest.json', CURSOR_FILENAME];
+  for (let article of getArticles(journal, manifest, options)) {
+    const { index, entry, file } = article;
+    if (file !== null) {
+      known.push(file);
+    }
+    if (entry !== null && Array.isArray(entry.supplementary)) {
+      for (let s of entry.supplementary) {
+        known.push(s.file);
+        if (s.status === Status.DOWNLOADED) {
+          checkFile(dir, index, s, options, add);
+        }
+      }
+    }
+    const status = entry !== null ? entry.status : Status.PENDING;
+    if (status === Status.SKIPPED) {
+      // No PDF file is available.
+      continue;
+    }
+    if (status === Status.DOWNLOADING) {
+      add(Problem.INTERRUPTED, index, file,
+          'Download has been interrupted');
+      continue;
+    }
+    if (file === null) {
+      // Migrated from a cursor file.  Nothing can be checked.
+      if (status !== Status.DOWNLOADED) {
+        add(Problem.MISSING, index, null, 'Not downloaded');
+      }
+      continue;
+    }
+    if (!fs.existsSync(path.join(dir, file))) {
+      add(Problem.MISSING, index, file,
+          status === Status.DOWNLOADED ? 'File not found' : 'Not downloaded');
+      continue;
+    }
+    checkFile(dir, index, status === Status.DOWNLOADED ? entry : { file },
+              options, add);
+  }
+
+  for (let file of listFiles(dir)) {
+    if (known.includes(file)) {
+      continue;
+    }
+    if (file.endsWith('.part')) {
+      add(Problem.INTERRUPTED, null, file, 'Partially downloaded file');
+    } else {
+      add(Problem.UNEXPECTED, null, file, 'Unexpected file');
+    }
+  }
+  return result;
+}
+
+// Returns articles having `index`, `entry` in the manifest or null, and `file`
+// or null if it's unknown.
+function getArticles(journal, manifest, options) {
+  if (journal === null) {
+    if (manifest === null) {
+      return [];
+    }
+    return manifest.articles.map((entry) => {
+      return { index: entry.index, entry, file: entry.file || null };
+    });
+  }
+  const files = paths.getArticleFiles(options.outdir, journal, options);
+  return journal.articles.map((article, i) => {
+    const index = paths.getArticleIndex(article, i);
+    let entry = manifest !== null ? manifest.article(index) : null;
+    if (entry !== null && entry.url !== article.url) {
+      // The article has been changed since the download.
+      entry = null;
+    }
+    let file = null;
+    if (entry !== null && entry.status === Status.DOWNLOADED) {
+      file = entry.file || null;
+    } else {
+      file = files[i];
+    }
+    return { index, entry, file };
+  });
+}
+
+// Checks a file having `file`, and `size` and `sha256` if they are recorded.
+// Only the first problem is reported.
+function checkFile(dir, index, record, options, add) {
+  const filePath = path.join(dir, record.file);
+  if (!fs.existsSync(filePath)) {
+    add(Problem.MISSING, index, record.file, 'File not found');
+    return;
+  }
+  const data = fs.readFileSync(filePath);
+  if (data.length === 0) {
+    add(Problem.TRUNCATED, index, record.file, 'Empty file');
+    return;
+  }
+  if (record.size !== undefined && data.length < record.size) {
+    add(Problem.TRUNCATED, index, record.file,
+        `Truncated: ${data.length} of ${record.size} bytes`);
+    return;
+  }
+  if (path.extname(record.file).toLowerCase() === '.pdf') {
+    try {
+      pdf.checkContent(data, data.length, options.minPdfSize || pdf.MIN_SIZE);
+    } catch (e) {
+      add(Problem.INVALID_PDF, index, record.file, e.message);
+      return;
+    }
+    if (!data.slice(-EOF_SEARCH_SIZE).includes(EOF_MARKER)) {
+      add(Problem.TRUNCATED, index, record.file, 'No end-of-file marker');
+      return;
+    }
+  }
+  if (record.sha256 !== undefined) {
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    if (sha256 !== record.sha256) {
+      add(Problem.CHECKSUM_MISMATCH, index, record.file,
+          `SHA-256 mismatch: ${sha256}`);
+    }
+  }
+}
+
+// Returns paths of files in `dir` relative to it, except for those in the
+// quarantine folder.
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  let files = [];
+  for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      if (prefix !== '' || entry.name !== QUARANTINE_DIRNAME) {
+        files = files.concat(listFiles(path.join(dir, entry.name), file));
+      }
+    } else {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// Returns true if the issue needs to be downloaded again.
+function needsDownload(result) {
+  return result.problems.some((p) => p.kind !== Problem.UNEXPECTED);
+}
+
+// Resets articles having problems to "pending" in the manifest so that they
+// are downloaded again by `njtool download`, which skips articles recorded as
+// downloaded if their files exist.  Returns the number of reset articles.
+//
+// A broken manifest is moved to the quarantine folder so that all articles in
+// the issue are downloaded again with a new manifest.
+function fix(result) {
+  if (result.problems.some((p) => p.kind === Problem.BROKEN_MANIFEST)) {
+    const quarantineDir = path.join(result.dir, QUARANTINE_DIRNAME);
+    mkdirp.sync(quarantineDir);
+    fs.renameSync(Manifest.getPath(result.dir),
+                  path.join(quarantineDir, 'manifest.json'));
+    return 0;
+  }
+  const indexes = [];
+  for (let problem of result.problems) {
+    if (problem.index !== null && FIXABLE_PROBLEMS.includes(problem.kind) &&
+        !indexes.includes(problem.index)) {
+      indexes.push(problem.index);
+    }
+  }
+  if (indexes.length === 0) {
+    return 0;
+  }
+  const manifest = Manifest.load(result.dir);
+  if (manifest === null) {
+    return 0;
+  }
+  let count = 0;
+  for (let index of indexes) {
+    if (manifest.article(index) !== null) {
+      manifest.update(index, { status: Status.PENDING, startedAt: null });
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports.Problem = Problem;
+module.exports.findIssueDirs = findIssueDirs;
+module.exports.verify = verify;
+module.exports.needsDownload = needsDownload;
+module.exports.fix = fix;
@@ -4,32 +4,20 @@
 'use strict';
 
 const moment = require('moment');
-const puppeteer = require('puppeteer');
-
-// istanbul ignore next
-function collectIssues() {
-  const issue_elements = document.querySelectorAll('#issue-list > li');
-  return Array.from(issue_elements).map((issue_element) => {
-    const url = issue_element.querySelector('a').href;
-    const img = issue_element.querySelector('a > img').src;
-    const date = issue_element.querySelector('a > h3 > span').innerText;
-    const title = issue_element.querySelector('h3.h3') ?
-          issue_element.querySelector('h3.h3').innerText : null;
-    const id = parseInt(url.split('/').pop());
-    return { id, url, img, date, title };
-  });
-}
+const BrowserPool = require('./browser-pool');
+const { DownloadError } = require('./errors');
+const RetryPolicy = require('./retry-policy');
+const sites = require('./sites');
 
 class Volume {
   constructor(id) {
     const [name, volume] = id.split(':');
-    if (name === undefined || volume === undefined) {
+    // parseInt() accepts trailing characters like "550-555".
+    if (name === undefined || !/^\d+$/.test(volume)) {
       throw new Error(`Invalid volume ID: ${id}`);
     }
-    if (name != 'nature') {
-      throw new Error(`Not supported at this mement: ${name}`);
-    }
 
+    this._site = sites.get(name);
     this.name = name;
     this.volume = parseInt(volume);
     this.content = null;
@@ -42,13 +30,40 @@ class Volume {
     return args.map((arg) => new Volume(arg));
   }
 
+  // Returns the number of the current volume of the journal, which is the
+  // largest number in the volume list page.
+  //
+  // See Journal.scrape() for the `pool` argument and `options.signal`.
+  static async findCurrent(name, options, pool = null) {
+    const site = sites.get(name);
+    const ownPool = pool === null;
+    if (ownPool) {
+      pool = new BrowserPool(options);
+    }
+    try {
+      const policy = new RetryPolicy(options);
+      return await policy.run(() => pool.withPage(async (page) => {
+        RetryPolicy.checkPageResponse(
+          await page.goto(site.getVolumeListUrl()));
+        const volumes = await page.evaluate(site.collectVolumes);
+        if (volumes.length === 0) {
+          throw new Error(`No volume found: ${name}`);
+        }
+        return Math.max(...volumes);
+      }), { signal: options.signal });
+    } finally {
+      if (ownPool) {
+        await pool.close();
+      }
+    }
+  }
+
   get id() {
     return `${this.name}:${this.volume}`;
   }
 
   get url() {
-    const base = 'https://www.nature.com';
-    return `${base}/${this.name}/volumes/${this.volume}`;
+    return this._site.getVolumeUrl(this.volume);
   }
 
   get metadata() {
@@ -77,35 +92,34 @@ class Volume {
     return metadata;
   }
 
-  async scrape(options) {
-    let opt = {
-      headless: options.headless
-    };
-    if (!options.sandbox) {
-      opt.args = ['--no-sandbox', '--disable-setuid-sandbox'];
+  // See Journal.scrape() for the `pool` argument and `options.signal`.
+  async scrape(options, pool = null) {
+    const ownPool = pool === null;
+    if (ownPool) {
+      pool = new BrowserPool(options);
     }
-    let browser = null;
     try {
-      browser = await puppeteer.launch(opt);
-      const page = await browser.newPage();
-      await page.goto(this.url);
-      const title = await page.title();
-      if (title.startsWith('Page not found')) {
-        throw new Error('Not found');
-      }
-      const issues = await page.evaluate(this._collectIssuesFunction);
-      this.content = { issues };
+      const policy = new RetryPolicy(options);
+      await policy.run(() => pool.withPage(async (page) => {
+        RetryPolicy.checkPageResponse(await page.goto(this.url));
+        const title = await page.title();
+        if (title.startsWith('Page not found')) {
+          throw new DownloadError(DownloadError.Kind.NOT_FOUND, 'Not found');
+        }
+        const issues = await page.evaluate(this._collectIssuesFunction);
+        this.content = { issues };
+      }), { signal: options.signal });
     } catch (e) {
       this.error = e.message;
     }
-    if (browser) {
-      await browser.close();
+    if (ownPool) {
+      await pool.close();
     }
     return this.metadata;
   }
 
   get _collectIssuesFunction() {
-    return collectIssues;
+    return this._site.collectIssues;
   }
 }
 
@@ -0,0 +1,37 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const AbortController = require('../lib/abort-controller');
+
+describe('AbortController', () => {
+  // The fallback is tested even on Node.js versions having AbortController.
+  const Fallback = AbortController.Fallback;
+
+  it('should call listeners once when aborted', () => {
+    const controller = new Fallback();
+    const listener = sinon.stub();
+    controller.signal.addEventListener('abort', listener);
+    expect(controller.signal.aborted).to.be.false;
+    controller.abort();
+    controller.abort();
+    expect(controller.signal.aborted).to.be.true;
+    expect(listener).to.have.been.calledOnce;
+  });
+
+  it('should not call removed listeners', () => {
+    const controller = new Fallback();
+    const listener = sinon.stub();
+    controller.signal.addEventListener('abort', listener);
+    controller.signal.removeEventListener('abort', listener);
+    controller.abort();
+    expect(listener).to.have.not.been.called;
+  });
+});
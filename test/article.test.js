@@ -0,0 +1,228 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+// Stubs
+const stubs = {
+  puppeteer: {
+    launch: sinon.stub()
+  }
+};
+
+// Classes below are used for making stubs
+const { Browser } = require('puppeteer/lib/cjs/puppeteer/common/Browser');
+const { Page } = require('puppeteer/lib/cjs/puppeteer/common/Page');
+
+const browserFactory = proxyquire('../lib/browser-factory', stubs);
+const BrowserPool = proxyquire(
+  '../lib/browser-pool', { './browser-factory': browserFactory });
+const Article = proxyquire('../lib/article', { './browser-pool': BrowserPool });
+
+// TODO:
+// * Testing scripts executed on the browser
+
+describe('Article', () => {
+  let pageStub = null;
+  let browserStub = null;
+  let content = null;
+
+  beforeEach(() => {
+    content = {
+      doi: '10.1038/nature25988',
+      title: 'title',
+      type: 'Article',
+      abstract: 'abstract',
+      authors: [
+        { name: 'author', affiliations: ['affiliation'], orcid: null }
+      ],
+      dates: {
+        received: '2017-08-01',
+        accepted: '2018-01-01',
+        published: '2018-03-07'
+      },
+      subjects: ['Physics'],
+      license: null,
+      references: [{ citation: 'citation', doi: '10.1038/1' }]
+    };
+
+    pageStub = sinon.createStubInstance(Page);
+    pageStub.title.returns('title | Nature');
+    pageStub.evaluate.resolves(content);
+
+    browserStub = sinon.createStubInstance(Browser);
+    browserStub.newPage.returns(pageStub);
+
+    stubs.puppeteer.launch.returns(browserStub);
+  });
+
+  afterEach(() => {
+    stubs.puppeteer.launch.reset();
+    pageStub = null;
+    browserStub = null;
+  });
+
+  describe('constructor', () => {
+    context('when called with a URL', () => {
+      it('should return an instance', () => {
+        const article =
+              new Article('https://www.nature.com/articles/nature25988');
+        expect(article.doi).to.equal('10.1038/nature25988');
+        expect(article.url)
+          .to.equal('https://www.nature.com/articles/nature25988');
+        expect(article.content).to.be.null;
+      });
+
+      it('should extract a DOI from a doi.org URL', () => {
+        const article = new Article('https://doi.org/10.1038/nature25988');
+        expect(article.doi).to.equal('10.1038/nature25988');
+      });
+
+      it('should not extract a DOI from other URLs', () => {
+        const article = new Article('https://example.com/articles/1');
+        expect(article.doi).to.be.null;
+        expect(article.id).to.equal('https://example.com/articles/1');
+      });
+    });
+
+    context('when called with a DOI', () => {
+      it('should return an instance', () => {
+        const article = new Article('10.1038/nature25988');
+        expect(article.doi).to.equal('10.1038/nature25988');
+        expect(article.url)
+          .to.equal('https://www.nature.com/articles/nature25988');
+      });
+
+      it('should accept the doi: prefix', () => {
+        const article = new Article('doi:10.1038/nature25988');
+        expect(article.doi).to.equal('10.1038/nature25988');
+      });
+
+      it('should use doi.org for other publishers', () => {
+        const article = new Article('10.1126/science.1');
+        expect(article.url).to.equal('https://doi.org/10.1126/science.1');
+      });
+    });
+
+    context('when called with an invalid ID', () => {
+      it('should throw an Error object', () => {
+        expect(() => new Article(1)).to.throw(Error);
+        expect(() => new Article('a')).to.throw(Error);
+        expect(() => new Article('nature:1:2')).to.throw(Error);
+      });
+    });
+  });
+
+  describe('from', () => {
+    it('should return an array of Article', () => {
+      expect(Article.from('10.1038/1')).to.be.an('array').of.length(1);
+      expect(Article.from(['10.1038/1', '10.1038/2']))
+        .to.be.an('array').of.length(2);
+    });
+  });
+
+  describe('metadata', () => {
+    context('before scraping', () => {
+      it('should have only basic data', () => {
+        const article = new Article('10.1038/nature25988');
+        expect(article.metadata).to.eql({
+          url: 'https://www.nature.com/articles/nature25988',
+          doi: '10.1038/nature25988'
+        });
+      });
+    });
+
+    context('after scraping', () => {
+      context('successfully', () => {
+        it('should have the scraped data', async () => {
+          const article = new Article('10.1038/nature25988');
+          await article.scrape({});
+          expect(article.metadata).to.include({
+            url: 'https://www.nature.com/articles/nature25988',
+            doi: '10.1038/nature25988',
+            abstract: 'abstract'
+          });
+          expect(article.metadata.authors).to.eql(content.authors);
+          expect(article.metadata.dates).to.eql(content.dates);
+          expect(article.metadata.references).to.eql(content.references);
+          expect(article.metadata).to.not.have.property('error');
+        });
+      });
+
+      context('unsuccessfully', () => {
+        it('should have basic data and error', async () => {
+          pageStub.evaluate.rejects();
+          const article = new Article('10.1038/nature25988');
+          await article.scrape({});
+          expect(article.metadata).to.have.property('doi');
+          expect(article.metadata).to.not.have.property('abstract');
+          expect(article.metadata).to.have.property('error');
+        });
+      });
+    });
+  });
+
+  describe('scrape', () => {
+    it('should return metadata', async () => {
+      const article = new Article('10.1038/nature25988');
+      const metadata = await article.scrape({});
+      expect(metadata).to.eql(article.metadata);
+    });
+
+    it('should load the article page', async () => {
+      const article = new Article('10.1038/nature25988');
+      await article.scrape({});
+      expect(pageStub.goto).to.have.been.calledWith(
+        'https://www.nature.com/articles/nature25988');
+    });
+
+    it('should use the DOI in the page', async () => {
+      const article = new Article('https://example.com/articles/1');
+      const metadata = await article.scrape({});
+      expect(metadata).to.have.property('doi', '10.1038/nature25988');
+      expect(metadata)
+        .to.have.property('url', 'https://example.com/articles/1');
+    });
+
+    it('should keep the DOI if the page has no DOI', async () => {
+      content.doi = null;
+      const article = new Article('10.1038/nature25988');
+      const metadata = await article.scrape({});
+      expect(metadata).to.have.property('doi', '10.1038/nature25988');
+    });
+
+    context('when a browser pool is specified', () => {
+      it('should not close the browser', async () => {
+        const pool = new BrowserPool({});
+        const article = new Article('10.1038/nature25988');
+        await article.scrape({}, pool);
+        expect(browserStub.close).to.have.not.been.called;
+      });
+    });
+
+    context('when 404 error page is loaded', () => {
+      it('should return metadata with the error property', async () => {
+        pageStub.title.returns('Page not found');
+        const article = new Article('10.1038/nature25988');
+        const metadata = await article.scrape({});
+        expect(metadata).to.have.property('error', 'Not found');
+      });
+    });
+
+    context('when puppeteer.launch throws an error', () => {
+      it('should return metadata with the error property', async () => {
+        stubs.puppeteer.launch.throws();
+        const article = new Article('10.1038/nature25988');
+        const metadata = await article.scrape({});
+        expect(metadata).to.have.property('error');
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+// Stubs
+const stubs = {
+  puppeteer: {
+    launch: sinon.stub()
+  }
+};
+
+// Classes below are used for making stubs
+const { Browser } = require('puppeteer/lib/cjs/puppeteer/common/Browser');
+const { Page } = require('puppeteer/lib/cjs/puppeteer/common/Page');
+
+const browserFactory = proxyquire('../lib/browser-factory', stubs);
+const BrowserPool = proxyquire(
+  '../lib/browser-pool', { './browser-factory': browserFactory });
+
+describe('BrowserPool', () => {
+  let browserStub = null;
+
+  beforeEach(() => {
+    browserStub = sinon.createStubInstance(Browser);
+    browserStub.newPage.callsFake(
+      async () => sinon.createStubInstance(Page));
+    stubs.puppeteer.launch.resolves(browserStub);
+  });
+
+  afterEach(() => {
+    stubs.puppeteer.launch.reset();
+    browserStub = null;
+  });
+
+  describe('constructor', () => {
+    it('should use 1 as the default concurrency', () => {
+      expect(new BrowserPool({})).to.have.property('concurrency', 1);
+    });
+
+    it('should accept a string as the concurrency', () => {
+      expect(new BrowserPool({ concurrency: '3' }))
+        .to.have.property('concurrency', 3);
+    });
+
+    it('should not launch a browser', () => {
+      new BrowserPool({});
+      expect(stubs.puppeteer.launch).to.have.not.been.called;
+    });
+  });
+
+  describe('acquire', () => {
+    it('should launch a browser only once', async () => {
+      const pool = new BrowserPool({ concurrency: 2 });
+      await Promise.all([pool.acquire(), pool.acquire()]);
+      expect(stubs.puppeteer.launch).to.have.been.calledOnce;
+      expect(browserStub.newPage).to.have.been.calledTwice;
+    });
+
+    it('should call puppeteer.launch with the headless option', async () => {
+      const pool = new BrowserPool({ headless: false, sandbox: false });
+      await pool.acquire();
+      expect(stubs.puppeteer.launch).to.have.been.calledWith({
+        headless: false,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+    });
+
+    it('should wait until a page is released', async () => {
+      const pool = new BrowserPool({ concurrency: 1 });
+      const page = await pool.acquire();
+      let acquired = false;
+      const promise = pool.acquire().then((page) => {
+        acquired = true;
+        return page;
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(acquired).to.be.false;
+      await pool.release(page);
+      await promise;
+      expect(acquired).to.be.true;
+    });
+
+    context('when puppeteer.launch throws an error', () => {
+      beforeEach(() => {
+        stubs.puppeteer.launch.throws();
+      });
+
+      it('should reject', async () => {
+        const pool = new BrowserPool({});
+        let error = null;
+        try {
+          await pool.acquire();
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an('error');
+      });
+
+      it('should release the slot', async () => {
+        const pool = new BrowserPool({});
+        await pool.acquire().catch(() => {});
+        stubs.puppeteer.launch.resolves(browserStub);
+        await pool.close();
+        expect(await pool.acquire()).to.be.an.instanceOf(Page);
+      });
+    });
+  });
+
+  describe('release', () => {
+    it('should close the page', async () => {
+      const pool = new BrowserPool({});
+      const page = await pool.acquire();
+      await pool.release(page);
+      expect(page.close).to.have.been.calledOnce;
+    });
+  });
+
+  describe('withPage', () => {
+    it('should return the value returned from the callback', async () => {
+      const pool = new BrowserPool({});
+      expect(await pool.withPage(async () => 1)).to.equal(1);
+    });
+
+    it('should release the page even if the callback throws', async () => {
+      const pool = new BrowserPool({});
+      let page = null;
+      await pool.withPage(async (p) => {
+        page = p;
+        throw new Error();
+      }).catch(() => {});
+      expect(page.close).to.have.been.calledOnce;
+    });
+
+    it('should limit the number of open pages', async () => {
+      const pool = new BrowserPool({ concurrency: 2 });
+      let open = 0;
+      let maxOpen = 0;
+      await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(async () => {
+        open++;
+        maxOpen = Math.max(maxOpen, open);
+        await new Promise((resolve) => setImmediate(resolve));
+        open--;
+      })));
+      expect(maxOpen).to.equal(2);
+      expect(browserStub.newPage).to.have.callCount(5);
+    });
+  });
+
+  describe('close', () => {
+    it('should close the browser', async () => {
+      const pool = new BrowserPool({});
+      await pool.acquire();
+      await pool.close();
+      expect(browserStub.close).to.have.been.calledOnce;
+    });
+
+    it('should do nothing if no browser has been launched', async () => {
+      const pool = new BrowserPool({});
+      await pool.close();
+      expect(browserStub.close).to.have.not.been.called;
+    });
+
+    context('when puppeteer.launch throws an error', () => {
+      it('should not call browser.close', async () => {
+        stubs.puppeteer.launch.throws();
+        const pool = new BrowserPool({});
+        await pool.acquire().catch(() => {});
+        await pool.close();
+        expect(browserStub.close).to.have.not.been.called;
+      });
+    });
+  });
+});
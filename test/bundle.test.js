@@ -0,0 +1,167 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+const expect = chai.expect;
+
+const bundle = require('../lib/bundle');
+
+async function makePdf(numPages) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < numPages; ++i) {
+    doc.addPage();
+  }
+  return Buffer.from(await doc.save());
+}
+
+async function expectError(promise, message) {
+  let error = null;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  expect(error).to.be.an('error').with.property('message')
+    .that.includes(message);
+}
+
+describe('bundle', () => {
+  const journal = {
+    name: 'nature', volume: 555, issue: 7694, date: '2018-03-08',
+    articles: [
+      { title: 'article 1', url: 'https://www.nature.com/articles/1.html',
+        type: 'Article', authors: ['Alice', 'Bob'] },
+      { title: 'article 2', url: 'https://www.nature.com/articles/2.html',
+        type: 'Letter', authors: [] },
+      { title: 'article 3', url: 'https://www.nature.com/articles/3.html',
+        type: 'News', authors: ['Carol'] }
+    ]
+  };
+
+  let dir = null;
+
+  function entry(index, status = 'downloaded') {
+    return {
+      index,
+      title: `article ${index}`,
+      url: `https://www.nature.com/articles/${index}.html`,
+      file: `0${index} article ${index}.pdf`,
+      status
+    };
+  }
+
+  function writeManifest(articles) {
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+      version: 1,
+      journal: { name: 'nature', volume: 555, issue: 7694, date: '2018-03-08' },
+      articles
+    }));
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    writeManifest([entry(2), entry(1), entry(3, 'failed')]);
+    fs.writeFileSync(path.join(dir, '01 article 1.pdf'), await makePdf(2));
+    fs.writeFileSync(path.join(dir, '02 article 2.pdf'), await makePdf(3));
+  });
+
+  afterEach(() => {
+    for (let file of fs.readdirSync(dir)) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+    fs.rmdirSync(dir);
+  });
+
+  describe('getTitle', () => {
+    it('should return a title with the journal name', () => {
+      expect(bundle.getTitle(journal))
+        .to.equal('Nature 555 (7694), 2018-03-08');
+      expect(bundle.getTitle({ name: 'unknown', volume: 1, issue: 2 }))
+        .to.equal('unknown 1 (2)');
+    });
+  });
+
+  describe('getArticles', () => {
+    it('should return downloaded articles in the issue order', () => {
+      const manifest = bundle.loadManifest(dir);
+      expect(bundle.getArticles(dir, manifest, journal)).to.eql([
+        { index: 1, title: 'article 1', type: 'Article',
+          authors: ['Alice', 'Bob'], file: '01 article 1.pdf' },
+        { index: 2, title: 'article 2', type: 'Letter', authors: [],
+          file: '02 article 2.pdf' }
+      ]);
+    });
+
+    it('should use titles in the manifest without the metadata', () => {
+      const manifest = bundle.loadManifest(dir);
+      expect(bundle.getArticles(dir, manifest)[0]).to.eql({
+        index: 1, title: 'article 1', type: null, authors: [],
+        file: '01 article 1.pdf'
+      });
+    });
+  });
+
+  describe('bundle', () => {
+    it('should start with the table of contents', async () => {
+      const result = await bundle.bundle(dir, journal);
+      expect(result.title).to.equal('Nature 555 (7694), 2018-03-08');
+      expect(result.articles.map((a) => a.page)).to.eql([2, 4]);
+      expect(result.skipped).to.eql([]);
+      const doc = await PDFDocument.load(result.bytes);
+      expect(doc.getPageCount()).to.equal(6);
+      expect(doc.getTitle()).to.equal('Nature 555 (7694), 2018-03-08');
+      expect(doc.getPages()[0].node.Annots().size()).to.equal(2);
+    });
+
+    it('should have a bookmark for each article', async () => {
+      const result = await bundle.bundle(dir, journal);
+      const doc = await PDFDocument.load(result.bytes);
+      const outlines = doc.catalog.lookup(PDFName.of('Outlines'));
+      expect(outlines.get(PDFName.of('Count')).asNumber()).to.equal(2);
+      const first = outlines.lookup(PDFName.of('First'));
+      expect(first.lookup(PDFName.of('Title')).decodeText())
+        .to.equal('article 1');
+      const dest = first.lookup(PDFName.of('Dest'));
+      expect(dest.get(0)).to.equal(doc.getPages()[1].ref);
+    });
+
+    it('should replace characters not supported by the fonts', async () => {
+      const articles = journal.articles.map((a) => Object.assign({}, a));
+      articles[0].title = 'Schrödinger’s Ω cat';
+      articles[0].authors = ['李 伟', 'Zoë'];
+      const result = await bundle.bundle(
+        dir, Object.assign({}, journal, { articles }));
+      expect(result.articles.map((a) => a.title))
+        .to.eql(['Schrödinger’s Ω cat', 'article 2']);
+    });
+
+    it('should skip files which cannot be read', async () => {
+      fs.writeFileSync(path.join(dir, '02 article 2.pdf'), '<html>');
+      const result = await bundle.bundle(dir, journal);
+      expect(result.articles.map((a) => a.index)).to.eql([1]);
+      expect(result.skipped.map((a) => a.index)).to.eql([2]);
+    });
+
+    it('should reject if no manifest exists', async () => {
+      fs.unlinkSync(path.join(dir, 'manifest.json'));
+      await expectError(bundle.bundle(dir), 'No manifest found');
+    });
+
+    it('should reject if the metadata is of another issue', async () => {
+      const other = Object.assign({}, journal, { issue: 7695 });
+      await expectError(bundle.bundle(dir, other), 'another issue');
+    });
+
+    it('should reject if no file has been downloaded', async () => {
+      writeManifest([entry(1, 'failed')]);
+      await expectError(bundle.bundle(dir), 'No PDF file to bundle');
+    });
+  });
+});
@@ -0,0 +1,234 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const path = require('path');
+
+const expect = chai.expect;
+
+const citation = require('../lib/citation');
+
+describe('citation', () => {
+  let journals = null;
+  let articles = null;
+
+  beforeEach(() => {
+    journals = [{
+      name: 'nature', volume: 555, issue: 7694, date: '2018-03-08',
+      url: 'https://www.nature.com/nature/volumes/555/issues/7694',
+      articles: [
+        {
+          title: 'Quantum gravity', type: 'Article',
+          url: 'https://www.nature.com/articles/nature25988',
+          authors: ['Jane Smith', 'John Doe'], description: 'description'
+        },
+        {
+          title: 'The quantum world', type: 'News',
+          url: 'https://www.nature.com/articles/d41586-018-02741-4',
+          authors: ['Jane Smith']
+        },
+        {
+          title: 'A quantum computer', type: 'Article',
+          url: 'https://www.nature.com/articles/nature25977',
+          authors: ['Jane Smith']
+        }
+      ]
+    }];
+    articles = [{
+      url: 'https://www.nature.com/articles/nature25988',
+      doi: '10.1038/nature25988',
+      title: 'Quantum gravity',
+      journal: 'Nature',
+      pages: '45-50',
+      abstract: 'abstract',
+      authors: [
+        { name: 'Jane Smith', affiliations: [], orcid: null },
+        { name: 'John Doe', affiliations: [], orcid: null }
+      ],
+      dates: { published: '2018-03-07' },
+      subjects: ['Physics']
+    }];
+  });
+
+  describe('collect', () => {
+    it('should make a record for each article', () => {
+      const records = citation.collect(journals);
+      expect(records).to.have.length(3);
+      expect(records[0]).to.include({
+        doi: '10.1038/nature25988',
+        title: 'Quantum gravity',
+        journal: 'Nature',
+        volume: 555,
+        issue: 7694,
+        date: '2018-03-08',
+        abstract: 'description',
+        file: null
+      });
+      expect(records[0].authors).to.eql([
+        { family: 'Smith', given: 'Jane' },
+        { family: 'Doe', given: 'John' }
+      ]);
+    });
+
+    it('should skip journals having an error', () => {
+      journals[0].error = 'Not found';
+      expect(citation.collect(journals)).to.eql([]);
+    });
+
+    it('should merge article-level metadata', () => {
+      const records = citation.collect(journals, articles);
+      expect(records).to.have.length(3);
+      expect(records[0]).to.include({
+        pages: '45-50',
+        date: '2018-03-07',
+        abstract: 'abstract'
+      });
+      expect(records[0].keywords).to.eql(['Physics']);
+    });
+
+    it('should make records for articles not in journals', () => {
+      const records = citation.collect([], articles);
+      expect(records).to.have.length(1);
+      expect(records[0]).to.include({ journal: 'Nature', pages: '45-50' });
+    });
+
+    it('should add paths to PDF files', () => {
+      journals[0].articles[1].index = 5;
+      const records = citation.collect(journals, [], { pdfDir: 'outdir' });
+      const dir = path.join('outdir', 'nature', '555', '7694');
+      expect(records.map((r) => r.file)).to.eql([
+        path.join(dir, '01 Quantum gravity.pdf'),
+        path.join(dir, '05 The quantum world.pdf'),
+        path.join(dir, '03 A quantum computer.pdf')
+      ]);
+    });
+
+    it('should make citation keys', () => {
+      const records = citation.collect(journals);
+      expect(records.map((r) => r.key)).to.eql([
+        'smith2018quantumb', 'smith2018quantum', 'smith2018quantuma'
+      ]);
+    });
+
+    it('should make the same keys regardless of the order', () => {
+      journals[0].articles.reverse();
+      const records = citation.collect(journals);
+      expect(records.map((r) => r.key)).to.eql([
+        'smith2018quantuma', 'smith2018quantum', 'smith2018quantumb'
+      ]);
+    });
+
+    it('should keep keys of records before a new one in the order', () => {
+      const article = journals[0].articles.shift();
+      const before = citation.collect(journals).map((r) => r.key);
+      journals[0].articles.push(article);
+      const after = citation.collect(journals).map((r) => r.key);
+      expect(after.slice(0, 2)).to.eql(before);
+    });
+
+    it('should change keys of records after a new one in the order', () => {
+      const article = journals[0].articles.splice(1, 1)[0];
+      const before = citation.collect(journals).map((r) => r.key);
+      journals[0].articles.push(article);
+      const after = citation.collect(journals).map((r) => r.key);
+      expect(before).to.eql(['smith2018quantuma', 'smith2018quantum']);
+      expect(after.slice(0, 2))
+        .to.eql(['smith2018quantumb', 'smith2018quantuma']);
+    });
+
+    it('should remove accents from citation keys', () => {
+      journals[0].articles[0].authors = ['José Müller'];
+      const records = citation.collect(journals);
+      expect(records[0].key).to.equal('muller2018quantum');
+    });
+  });
+
+  describe('escapeLatex', () => {
+    it('should escape special characters', () => {
+      expect(citation.escapeLatex('50% & $1_2 #{x}'))
+        .to.equal('50\\% \\& \\$1\\_2 \\#\\{x\\}');
+    });
+
+    it('should convert accented characters', () => {
+      expect(citation.escapeLatex('José Müller'))
+        .to.equal('Jos{\\\'{e}} M{\\"{u}}ller');
+      expect(citation.escapeLatex('Łí')).to.equal('{\\L}{\\\'{\\i}}');
+    });
+
+    it('should keep characters which have no commands', () => {
+      expect(citation.escapeLatex('αβ')).to.equal('αβ');
+    });
+  });
+
+  describe('format', () => {
+    let records = null;
+
+    beforeEach(() => {
+      records = citation.collect(
+        journals.map((j) => Object.assign(j, {
+          articles: j.articles.slice(0, 1)
+        })), articles, { pdfDir: 'outdir' });
+    });
+
+    it('should output BibTeX', () => {
+      const file = path.join(
+        'outdir', 'nature', '555', '7694', '01 Quantum gravity.pdf');
+      expect(citation.format(records, 'bibtex')).to.equal([
+        '@article{smith2018quantum,',
+        '  author = {Smith, Jane and Doe, John},',
+        '  title = {{Quantum gravity}},',
+        '  journal = {Nature},',
+        '  year = {2018},',
+        '  month = mar,',
+        '  volume = {555},',
+        '  number = {7694},',
+        '  pages = {45--50},',
+        '  doi = {10.1038/nature25988},',
+        '  url = {https://www.nature.com/articles/nature25988},',
+        '  abstract = {abstract},',
+        '  keywords = {Physics},',
+        `  file = {${file}}`,
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should output RIS', () => {
+      const ris = citation.format(records, 'ris').split('\n');
+      expect(ris[0]).to.equal('TY  - JOUR');
+      expect(ris).to.include.members([
+        'ID  - smith2018quantum',
+        'AU  - Smith, Jane',
+        'AU  - Doe, John',
+        'T2  - Nature',
+        'DA  - 2018/03/07',
+        'SP  - 45',
+        'EP  - 50',
+        'DO  - 10.1038/nature25988',
+        'KW  - Physics'
+      ]);
+      expect(ris[ris.length - 2]).to.equal('ER  - ');
+    });
+
+    it('should output CSL-JSON', () => {
+      const items = JSON.parse(citation.format(records, 'csl-json'));
+      expect(items).to.have.length(1);
+      expect(items[0]).to.include({
+        'id': 'smith2018quantum',
+        'type': 'article-journal',
+        'container-title': 'Nature',
+        'volume': '555',
+        'issue': '7694',
+        'page': '45-50',
+        'DOI': '10.1038/nature25988'
+      });
+      expect(items[0].issued).to.eql({ 'date-parts': [[2018, 3, 7]] });
+    });
+
+    it('should throw an Error object for unknown formats', () => {
+      expect(() => citation.format(records, 'unknown')).to.throw(Error);
+    });
+  });
+});
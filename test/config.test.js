@@ -0,0 +1,195 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const { Command } = require('commander');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = chai.expect;
+
+const config = require('../lib/config');
+
+describe('config', () => {
+  let dir = null;
+  let configPath = null;
+  let env = null;
+
+  function writeConfig(json) {
+    fs.writeFileSync(configPath, JSON.stringify(json));
+  }
+
+  function parse(args) {
+    const command = new Command();
+    command
+      .option('-o, --outdir <path-to-dir>')
+      .option('--retry <num>', '', (value) => parseInt(value))
+      .option('--no-sandbox')
+      .option('--config <file>')
+      .option('--profile <name>')
+      .parse(['node', 'njtool'].concat(args));
+    return command;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    fs.mkdirSync(path.join(dir, 'njtool'));
+    configPath = path.join(dir, 'njtool', 'config.json');
+    env = { XDG_CONFIG_HOME: dir };
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(configPath)) {
+      fs.unlinkSync(configPath);
+    }
+    fs.rmdirSync(path.join(dir, 'njtool'));
+    fs.rmdirSync(dir);
+  });
+
+  describe('getDefaultPath', () => {
+    it('should use $XDG_CONFIG_HOME', () => {
+      expect(config.getDefaultPath(env)).to.equal(configPath);
+    });
+
+    it('should use ~/.config by default', () => {
+      expect(config.getDefaultPath({})).to.equal(
+        path.join(os.homedir(), '.config', 'njtool', 'config.json'));
+    });
+  });
+
+  describe('load', () => {
+    it('should return an empty config if no file exists', () => {
+      expect(config.load(null, env).profiles).to.eql({});
+    });
+
+    it('should throw an Error object if the file does not exist', () => {
+      expect(() => config.load(path.join(dir, 'none.json'), env))
+        .to.throw(Error, 'No such file');
+    });
+
+    it('should throw an Error object if the file is broken', () => {
+      fs.writeFileSync(configPath, '{');
+      expect(() => config.load(null, env))
+        .to.throw(Error, 'Invalid config file');
+    });
+  });
+
+  describe('getProfile', () => {
+    beforeEach(() => {
+      writeConfig({
+        defaultProfile: 'laptop',
+        profiles: {
+          laptop: { outdir: 'journals', retry: 1 },
+          server: {
+            outdir: '/srv/journals',
+            retry: 8,
+            userDataDir: 'chromium'
+          }
+        }
+      });
+    });
+
+    it('should select the default profile', () => {
+      const profile = config.getProfile(config.load(null, env), null, env);
+      expect(profile).to.eql({
+        outdir: path.join(dir, 'njtool', 'journals'),
+        retry: 1
+      });
+    });
+
+    it('should select the profile specified in $NJTOOL_PROFILE', () => {
+      env.NJTOOL_PROFILE = 'server';
+      const profile = config.getProfile(config.load(null, env), null, env);
+      expect(profile).to.have.property('retry', 8);
+    });
+
+    it('should resolve paths of the browser options', () => {
+      const profile =
+            config.getProfile(config.load(null, env), 'server', env);
+      expect(profile).to.have.property(
+        'userDataDir', path.join(dir, 'njtool', 'chromium'));
+    });
+
+    it('should prefer the specified profile', () => {
+      env.NJTOOL_PROFILE = 'laptop';
+      const profile =
+            config.getProfile(config.load(null, env), 'server', env);
+      expect(profile).to.have.property('retry', 8);
+    });
+
+    it('should throw an Error object for unknown profiles', () => {
+      expect(() => config.getProfile(config.load(null, env), 'desktop', env))
+        .to.throw(Error, 'No such profile: desktop');
+    });
+  });
+
+  describe('resolve', () => {
+    const spec = {
+      defaults: { retry: 4 },
+      env: { outdir: 'NJTOOL_NATURE_OUTDIR' }
+    };
+
+    beforeEach(() => {
+      writeConfig({
+        profiles: {
+          server: { outdir: '/srv/journals', retry: 8, sandbox: false }
+        }
+      });
+    });
+
+    it('should use the defaults', () => {
+      const options = config.resolve(parse([]), spec, env);
+      expect(options).to.include({ retry: 4, sandbox: true });
+      expect(options.outdir).to.be.undefined;
+    });
+
+    it('should prefer the profile to the defaults', () => {
+      const options = config.resolve(
+        parse(['--profile', 'server']), spec, env);
+      expect(options).to.include(
+        { outdir: '/srv/journals', retry: 8, sandbox: false });
+    });
+
+    it('should prefer environment variables to the profile', () => {
+      env.NJTOOL_NATURE_OUTDIR = '/data';
+      const options = config.resolve(
+        parse(['--profile', 'server']), spec, env);
+      expect(options).to.include({ outdir: '/data', retry: 8 });
+    });
+
+    it('should prefer command-line options to others', () => {
+      env.NJTOOL_NATURE_OUTDIR = '/data';
+      const options = config.resolve(
+        parse(['--profile', 'server', '-o', '/tmp', '--retry', '2']),
+        spec, env);
+      expect(options).to.include({ outdir: '/tmp', retry: 2 });
+    });
+
+    it('should ignore keys unknown to the command', () => {
+      writeConfig({
+        profiles: {
+          server: { retry: 8, since: '2018-01-01', metadata: 'journal.json' }
+        }
+      });
+      const options = config.resolve(
+        parse(['--profile', 'server']), spec, env);
+      expect(options).to.include({ retry: 8 });
+      expect(options).to.not.have.any.keys('since', 'metadata');
+    });
+
+    it('should use the config file specified with --config', () => {
+      const file = path.join(dir, 'njtool', 'other.json');
+      fs.renameSync(configPath, file);
+      try {
+        const options = config.resolve(
+          parse(['--config', file, '--profile', 'server']), spec, env);
+        expect(options).to.include({ retry: 8 });
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+});
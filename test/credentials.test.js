@@ -0,0 +1,190 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const credentials = require('../lib/credentials');
+
+// Runs node in the shell so that tests work on any platform.
+function nodeCommand(script) {
+  return `"${process.execPath}" -e "${script}"`;
+}
+
+describe('credentials', () => {
+  let dir = null;
+  let netrcPath = null;
+  let env = null;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    netrcPath = path.join(dir, '.netrc');
+    env = { NETRC: netrcPath };
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(netrcPath)) {
+      fs.unlinkSync(netrcPath);
+    }
+    fs.rmdirSync(dir);
+  });
+
+  describe('readNetrc', () => {
+    it('should return the entry for idp.nature.com', () => {
+      fs.writeFileSync(netrcPath, [
+        'machine example.com login foo password bar',
+        'macdef init',
+        'machine idp.nature.com login fake password fake',
+        '',
+        'machine idp.nature.com',
+        '  login user@example.com',
+        '  password secret',
+        'default login anonymous password guest'
+      ].join('\n'));
+      expect(credentials.readNetrc(netrcPath))
+        .to.eql({ login: 'user@example.com', password: 'secret' });
+    });
+
+    it('should return the default entry', () => {
+      fs.writeFileSync(netrcPath, 'default login anonymous password guest');
+      expect(credentials.readNetrc(netrcPath))
+        .to.eql({ login: 'anonymous', password: 'guest' });
+    });
+
+    it('should return null if no entry is found', () => {
+      fs.writeFileSync(netrcPath, 'machine example.com login foo');
+      expect(credentials.readNetrc(netrcPath)).to.be.null;
+    });
+
+    it('should return null if the file does not exist', () => {
+      expect(credentials.readNetrc(netrcPath)).to.be.null;
+    });
+  });
+
+  describe('runPasswordCommand', () => {
+    it('should return the first line of the output', async () => {
+      const command = nodeCommand(
+        'console.log(\'secret\'); console.log(\'url: x\')');
+      expect(await credentials.runPasswordCommand(command))
+        .to.equal('secret');
+    });
+
+    it('should reject without the output if it fails', async () => {
+      const command = nodeCommand(
+        'console.log(\'secret\'); process.exit(3)');
+      let error = null;
+      try {
+        await credentials.runPasswordCommand(command);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('3');
+      expect(error.message).to.not.include('secret');
+    });
+  });
+
+  describe('splitFirstLine', () => {
+    it('should split the text at the first line break', () => {
+      expect(credentials.splitFirstLine('secret\r\n[]\n'))
+        .to.eql(['secret', '[]\n']);
+      expect(credentials.splitFirstLine('secret')).to.eql(['secret', '']);
+    });
+  });
+
+  describe('readHidden', () => {
+    it('should read a line without echoing it', async () => {
+      const input = new PassThrough();
+      input.setRawMode = sinon.stub();
+      const output = new PassThrough();
+      const promise = credentials.readHidden(input, output, 'Password: ');
+      input.write('sx\u007fecret\r');
+      expect(await promise).to.equal('secret');
+      expect(output.read().toString()).to.equal('Password: \n');
+      expect(input.setRawMode).to.have.been.calledWith(false);
+    });
+
+    it('should reject if canceled', async () => {
+      const input = new PassThrough();
+      input.setRawMode = sinon.stub();
+      const promise =
+            credentials.readHidden(input, new PassThrough(), 'Password: ');
+      input.write('sec\u0003');
+      let error = null;
+      try {
+        await promise;
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+    });
+  });
+
+  describe('get', () => {
+    const noTty = () => null;
+
+    it('should use the options', async () => {
+      const result = await credentials.get(
+        { username: 'user', password: 'pass' }, env, noTty);
+      expect(result).to.eql({ username: 'user', password: 'pass' });
+    });
+
+    it('should run the password command', async () => {
+      const result = await credentials.get({
+        username: 'user',
+        passwordCommand: nodeCommand('console.log(\'secret\')')
+      }, env, noTty);
+      expect(result).to.eql({ username: 'user', password: 'secret' });
+    });
+
+    it('should use the netrc file', async () => {
+      fs.writeFileSync(
+        netrcPath, 'machine idp.nature.com login user password secret');
+      expect(await credentials.get({}, env, noTty))
+        .to.eql({ username: 'user', password: 'secret' });
+    });
+
+    it('should not use the password for another login', async () => {
+      fs.writeFileSync(
+        netrcPath, 'machine idp.nature.com login user password secret');
+      let error = null;
+      try {
+        await credentials.get({ username: 'other' }, env, noTty);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+    });
+
+    it('should prompt on the terminal', async () => {
+      const input = new PassThrough();
+      input.setRawMode = sinon.stub();
+      const terminal =
+            { input, output: new PassThrough(), close: sinon.stub() };
+      const promise =
+            credentials.get({ username: 'user' }, env, () => terminal);
+      input.write('secret\r');
+      expect(await promise).to.eql({ username: 'user', password: 'secret' });
+      expect(terminal.close).to.have.been.called;
+    });
+
+    it('should reject without a terminal', async () => {
+      let error = null;
+      try {
+        await credentials.get({ username: 'user' }, env, noTty);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+    });
+  });
+});
@@ -4,6 +4,7 @@
 'use strict';
 
 const chai = require('chai');
+const crypto = require('crypto');
 const sinon = require('sinon');
 const path = require('path');
 const proxyquire = require('proxyquire');
@@ -15,12 +16,15 @@ chai.use(require('sinon-chai'));
 const { Browser } = require('puppeteer/lib/cjs/puppeteer/common/Browser');
 const { Page } = require('puppeteer/lib/cjs/puppeteer/common/Page');
 
+const AbortController = require('../lib/abort-controller');
+
 // Stubs
 const stubs = {
   'fs': {
     existsSync: sinon.stub(),
     readFileSync: sinon.stub(),
     writeFileSync: sinon.stub(),
+    renameSync: sinon.stub(),
     unlinkSync: sinon.stub()
   },
   'mkdirp': {
@@ -29,11 +33,49 @@ const stubs = {
   'puppeteer': {
     launch: sinon.stub()
   },
+  './http': {
+    download: sinon.stub()
+  },
+  './session': sinon.stub(),
   './sleep': sinon.stub()
 };
 
+stubs['./manifest'] = proxyquire('../lib/manifest', { fs: stubs.fs });
+stubs['./browser-factory'] = proxyquire(
+  '../lib/browser-factory', { puppeteer: stubs.puppeteer });
+
 const Downloader = proxyquire('../lib/downloader', stubs);
 
+// Makes a fake PDF file large enough to pass the validation.
+function makePdf(name) {
+  return Buffer.concat(
+    [Buffer.from(`%PDF-1.4\n${name}\n`), Buffer.alloc(1024)]);
+}
+
+// Makes a value which http.download resolves to.
+function makeResponse(body, props = {}) {
+  return Object.assign({
+    status: 200,
+    contentType: 'application/pdf',
+    url: 'https://www.nature.com/articles/1.pdf',
+    size: body.length,
+    sha256: crypto.createHash('sha256').update(body).digest('hex'),
+    head: body.slice(0, 16)
+  }, props);
+}
+
+function tmpPath(index) {
+  return path.join(
+    'outdir', 'nature', '1', '2', `0${index} article ${index}.pdf.part`);
+}
+
+function lastManifest(dir) {
+  const manifestPath = path.join(dir, 'manifest.json.part');
+  const calls = stubs.fs.writeFileSync.getCalls()
+        .filter((call) => call.args[0] === manifestPath);
+  return JSON.parse(calls[calls.length - 1].args[1]);
+}
+
 // TODO:
 // * Testing scripts executed on the browser
 
@@ -74,36 +116,47 @@ describe('Downloader', () => {
     pageStub = sinon.createStubInstance(Page);
     pageStub.title.resolves('Volume 1 Issue 2, 1 April 2018');
     pageStub.url.returns('https://www.nature.com/');
+    pageStub.cookies.resolves([{ name: 'session', value: 'xxx' }]);
     pageStub.evaluate.onCall(0)
       .resolves('https://www.nature.com/articles/1.pdf');
-    pageStub.evaluate.onCall(1).resolves(
-      `data:application/pdf;base64,${Buffer.from('1.pdf').toString('base64')}`);
-    pageStub.evaluate.onCall(2)
+    pageStub.evaluate.onCall(1)
       .resolves('https://www.nature.com/articles/2.pdf');
-    pageStub.evaluate.onCall(3).resolves(
-      `data:application/pdf;base64,${Buffer.from('2.pdf').toString('base64')}`);
 
     browserStub = sinon.createStubInstance(Browser);
     browserStub.newPage.resolves(pageStub);
+    browserStub.userAgent.resolves('Chromium');
+    pageStub.browser.returns(browserStub);
+
+    stubs['./http'].download.onCall(0)
+      .resolves(makeResponse(makePdf('1.pdf')));
+    stubs['./http'].download.onCall(1)
+      .resolves(makeResponse(makePdf('2.pdf')));
 
     stubs.fs.existsSync.returns(false);
     stubs.puppeteer.launch.resolves(browserStub);
+
+    // No jitter is added to retry intervals.
+    sinon.stub(Math, 'random').returns(0.5);
   });
 
   afterEach(() => {
     stubs.fs.existsSync.reset();
     stubs.fs.readFileSync.reset();
     stubs.fs.writeFileSync.reset();
+    stubs.fs.renameSync.reset();
     stubs.fs.unlinkSync.reset();
     stubs.mkdirp.sync.reset();
+    stubs['./http'].download.reset();
     stubs.puppeteer.launch.reset();
+    stubs['./session'].reset();
     stubs['./sleep'].reset();
+    Math.random.restore();
   });
 
   describe('download', () => {
     it('should return 0', async () => {
       const downloader = new Downloader(options, logger);
-      const status = await downloader.download(journals);
+      const { status } = await downloader.download(journals);
       expect(status).to.equal(0);
     });
 
@@ -115,31 +168,110 @@ describe('Downloader', () => {
           path.join(options.outdir, 'nature', '1', '2'));
     });
 
-    it('should save pdf files', async () => {
+    it('should stream pdf files into temporary files', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(stubs['./http'].download).to.have.been.calledWith(
+        'https://www.nature.com/articles/1.pdf',
+        tmpPath(1));
+      expect(stubs['./http'].download).to.have.been.calledWith(
+        'https://www.nature.com/articles/2.pdf',
+        tmpPath(2));
+    });
+
+    it('should fetch pdf files with cookies of the browser', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      const opts = stubs['./http'].download.firstCall.args[2];
+      expect(opts.headers).to.have.property('User-Agent', 'Chromium');
+      expect(await opts.cookie('https://www.nature.com/articles/1.pdf'))
+        .to.equal('session=xxx');
+      expect(pageStub.cookies)
+        .to.have.been.calledWith('https://www.nature.com/articles/1.pdf');
+    });
+
+    context('when browser options are specified', () => {
+      beforeEach(() => {
+        Object.assign(options, {
+          proxy: 'http://proxy.example.com:8080',
+          userAgent: 'njtool',
+          timeout: 60
+        });
+      });
+
+      it('should apply them to the browser', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs.puppeteer.launch.firstCall.args[0].args)
+          .to.include('--proxy-server=http://proxy.example.com:8080');
+        expect(pageStub.setUserAgent).to.have.been.calledWith('njtool');
+        expect(pageStub.setDefaultNavigationTimeout)
+          .to.have.been.calledWith(60000);
+      });
+
+      it('should apply them to fetches of pdf files', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const opts = stubs['./http'].download.firstCall.args[2];
+        expect(opts.headers).to.have.property('User-Agent', 'njtool');
+        expect(opts).to.include({
+          proxy: 'http://proxy.example.com:8080',
+          timeout: 60000
+        });
+      });
+    });
+
+    it('should rename temporary files to pdf files', async () => {
       const downloader = new Downloader(options, logger);
       await downloader.download(journals);
-      expect(stubs.fs.writeFileSync).to.have.been.calledWith(
-        path.join(options.outdir, 'nature', '1', '2', '01 article 1.pdf'),
-        Buffer.from('1.pdf'));
-      expect(stubs.fs.writeFileSync).to.have.been.calledWith(
-        path.join(options.outdir, 'nature', '1', '2', '02 article 2.pdf'),
-        Buffer.from('2.pdf'));
+      expect(stubs.fs.renameSync).to.have.been.calledWith(
+        tmpPath(1),
+        path.join(options.outdir, 'nature', '1', '2', '01 article 1.pdf'));
+      expect(stubs.fs.renameSync).to.have.been.calledWith(
+        tmpPath(2),
+        path.join(options.outdir, 'nature', '1', '2', '02 article 2.pdf'));
     });
 
-    it('should update the cursor file', async () => {
+    it('should not overwrite files having the same path', async () => {
+      journals[0].articles[1].title = 'article 1';
+      options.fileTemplate = '{title}.pdf';
       const downloader = new Downloader(options, logger);
       await downloader.download(journals);
-      expect(stubs.fs.writeFileSync).to.have.been.calledWith(
-        path.join(options.outdir, 'nature', '1', '2', 'cursor'), '0');
-      expect(stubs.fs.writeFileSync).to.have.been.calledWith(
-        path.join(options.outdir, 'nature', '1', '2', 'cursor'), '1');
+      const dir = path.join(options.outdir, 'nature', '1', '2');
+      expect(stubs.fs.renameSync).to.have.been.calledWith(
+        path.join(dir, 'article 1.pdf.part'), path.join(dir, 'article 1.pdf'));
+      expect(stubs.fs.renameSync).to.have.been.calledWith(
+        path.join(dir, 'article 1 (2).pdf.part'),
+        path.join(dir, 'article 1 (2).pdf'));
     });
 
-    it('should remove the cursor file', async () => {
+    it('should save the manifest file', async () => {
       const downloader = new Downloader(options, logger);
       await downloader.download(journals);
-      expect(stubs.fs.unlinkSync).to.have.been.calledWith(
-        path.join(options.outdir, 'nature', '1', '2', 'cursor'));
+      const manifest =
+            lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+      expect(manifest.journal).to.include({
+        name: 'nature', volume: 1, issue: 2, date: '2018-04-01'
+      });
+      expect(manifest.articles).to.have.length(2);
+      expect(manifest.articles[0]).to.include({
+        index: 1,
+        title: 'article 1',
+        url: 'https://www.nature.com/articles/1.html',
+        pdfUrl: 'https://www.nature.com/articles/1.pdf',
+        file: '01 article 1.pdf',
+        size: makePdf('1.pdf').length,
+        sha256: require('crypto').createHash('sha256')
+          .update(makePdf('1.pdf')).digest('hex'),
+        status: 'downloaded'
+      });
+      expect(manifest.articles[0]).to.have.property('startedAt');
+      expect(manifest.articles[0]).to.have.property('finishedAt');
+      expect(manifest.articles[1]).to.include({
+        index: 2,
+        file: '02 article 2.pdf',
+        status: 'downloaded'
+      });
     });
 
     context('when --no-sandbox is specified', () => {
@@ -158,6 +290,71 @@ describe('Downloader', () => {
       });
     });
 
+    context('when the parallel option is larger than 1', () => {
+      let pageStub2 = null;
+
+      beforeEach(() => {
+        options.parallel = 2;
+        pageStub2 = sinon.createStubInstance(Page);
+        pageStub2.url.returns('https://www.nature.com/');
+        pageStub2.cookies.resolves([]);
+        pageStub2.browser.returns(browserStub);
+        pageStub2.evaluate.resolves('https://www.nature.com/articles/2.pdf');
+        pageStub.evaluate.reset();
+        pageStub.evaluate.resolves('https://www.nature.com/articles/1.pdf');
+        browserStub.newPage.onCall(1).resolves(pageStub2);
+        stubs['./http'].download.reset();
+        stubs['./http'].download.callsFake(async (url) => {
+          return makeResponse(makePdf(path.basename(url)));
+        });
+      });
+
+      it('should open tabs', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(browserStub.newPage).to.have.been.calledTwice;
+      });
+
+      it('should login only once', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://idp.nature.com/login/natureuser');
+        expect(pageStub2.goto).to.have.not.been.calledWith(
+          'https://idp.nature.com/login/natureuser');
+      });
+
+      it('should distribute articles to the tabs', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+        expect(pageStub2.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/2.html');
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles.map((a) => a.status))
+          .to.eql(['downloaded', 'downloaded']);
+        expect(manifest.articles.map((a) => a.pdfUrl)).to.eql([
+          'https://www.nature.com/articles/1.pdf',
+          'https://www.nature.com/articles/2.pdf'
+        ]);
+      });
+
+      it('should stop all tabs when aborted', async () => {
+        journals[0].articles.push({
+          title: 'article 3', url: 'https://www.nature.com/articles/3.html'
+        });
+        const downloader = new Downloader(options, logger);
+        const promise = downloader.download(journals);
+        downloader.abort();
+        const { status } = await promise;
+        expect(status).to.equal(1);
+        expect(stubs['./http'].download).to.have.not.been.called;
+      });
+    });
+
     context('when puppeteer.launch throws an error', () => {
       beforeEach(() => {
         stubs.puppeteer.launch.throws();
@@ -165,7 +362,7 @@ describe('Downloader', () => {
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -183,7 +380,7 @@ describe('Downloader', () => {
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -202,7 +399,7 @@ describe('Downloader', () => {
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -221,7 +418,7 @@ describe('Downloader', () => {
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -245,7 +442,7 @@ describe('Downloader', () => {
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -270,7 +467,7 @@ describe('Downloader', () => {
 
       it('should return 0', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(0);
       });
 
@@ -289,24 +486,43 @@ describe('Downloader', () => {
             .to.include('No PDF file found');
         }
       });
+
+      it('should record the articles as skipped', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles.map((a) => a.status))
+          .to.eql(['skipped', 'skipped']);
+      });
     });
 
-    context('when fetchOnBrowser throws an error', () => {
+    context('when http.download throws an error', () => {
       beforeEach(() => {
         stubs['./sleep'].resolves();
+        pageStub.evaluate.resolves('https://www.nature.com/articles/2.pdf');
         for (let i = 0; i < 5; ++i) {
-          pageStub.evaluate.onCall(3 + i).rejects();
+          stubs['./http'].download.onCall(1 + i).rejects();
         }
       });
 
-      it('should retry to download', async () => {
+      it('should remove the temporary file', async () => {
+        stubs.fs.existsSync.withArgs(tmpPath(2)).returns(true);
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs.fs.unlinkSync).to.have.been.calledWith(tmpPath(2));
+      });
+
+      it('should retry to download with exponential backoff', async () => {
         const downloader = new Downloader(options, logger);
         await downloader.download(journals);
         expect(logger.warn).to.have.callCount(4);
-        for (let i = 0; i < 4; ++i) {
+        [5, 10, 20, 40].forEach((delay, i) => {
           expect(logger.warn.getCall(i).args[0])
-            .to.include('Retry after 5s');
-        }
+            .to.include(`Retry after ${delay}s`);
+        });
+        expect(stubs['./sleep'].args.map((args) => args[0]))
+          .to.eql([5, 10, 20, 40]);
         expect(logger.error).to.have.calledOnce;
         expect(logger.error.firstCall.args[0]).to.include('Failed');
       });
@@ -317,6 +533,44 @@ describe('Downloader', () => {
         expect(stubs['./sleep']).to.have.callCount(4);
       });
 
+      it('should record the article as failed', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles[0]).to.have.property('status', 'downloaded');
+        expect(manifest.articles[1]).to.have.property('status', 'failed');
+        expect(manifest.articles[1]).to.have.property('error');
+      });
+
+      it('should record the article as pending if aborted', async () => {
+        const downloader = new Downloader(options, logger);
+        stubs['./sleep'].callsFake(() => {
+          downloader.abort();
+          return Promise.reject(new Error('Aborted'));
+        });
+        const report = await downloader.download(journals);
+        expect(report.aborted).to.be.true;
+        expect(report.articles.map((a) => a.status))
+          .to.eql(['downloaded', 'pending']);
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles[1]).to.have.property('status', 'pending');
+      });
+
+      context('when the maxRetryInterval is specified', () => {
+        beforeEach(() => {
+          options.maxRetryInterval = 15;
+        });
+
+        it('should limit retry intervals', async () => {
+          const downloader = new Downloader(options, logger);
+          await downloader.download(journals);
+          expect(stubs['./sleep'].args.map((args) => args[0]))
+            .to.eql([5, 10, 15, 15]);
+        });
+      });
+
       context('when the retryInterval is equal to 0', () => {
         beforeEach(() => {
           options.retryInterval = 0;
@@ -330,6 +584,280 @@ describe('Downloader', () => {
       });
     });
 
+    context('when an HTML page has been served', () => {
+      const html = Buffer.from('<html>login</html>');
+
+      beforeEach(() => {
+        options.retry = 1;
+        pageStub.evaluate.onCall(1)
+          .resolves('https://www.nature.com/articles/1.pdf');
+        pageStub.evaluate.onCall(2)
+          .resolves('https://www.nature.com/articles/2.pdf');
+        const download = stubs['./http'].download;
+        download.onCall(0).resolves(makeResponse(html, {
+          contentType: 'text/html; charset=utf-8'
+        }));
+        download.onCall(1).resolves(makeResponse(makePdf('1.pdf')));
+        download.onCall(2).resolves(makeResponse(makePdf('2.pdf')));
+      });
+
+      it('should quarantine it', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs.mkdirp.sync).to.have.been.calledWith(
+          path.join(options.outdir, 'nature', '1', '2', 'quarantine'));
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          tmpPath(1),
+          path.join(options.outdir, 'nature', '1', '2', 'quarantine',
+                    '01 article 1.html'));
+      });
+
+      it('should login again and retry', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(pageStub.goto.withArgs(
+          'https://idp.nature.com/login/natureuser')).to.have.been.calledTwice;
+        expect(stubs['./sleep']).to.have.not.been.called;
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          tmpPath(1),
+          path.join(options.outdir, 'nature', '1', '2', '01 article 1.pdf'));
+      });
+
+      it('should fail the article if failed to login again', async () => {
+        pageStub.type.onCall(2)
+          .rejects(new Error('No node found for selector'));
+        const downloader = new Downloader(options, logger);
+        const report = await downloader.download(journals);
+        expect(report.status).to.equal(1);
+        expect(report.articles.map((a) => [a.index, a.status]))
+          .to.eql([[1, 'failed'], [2, 'downloaded']]);
+        expect(report.articles[0].error).to.include('No node found');
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles[0]).to.have.property('status', 'failed');
+      });
+    });
+
+    context('when an invalid PDF file has been served', () => {
+      beforeEach(() => {
+        options.retry = 0;
+      });
+
+      it('should fail if the status is not 2xx', async () => {
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(makePdf('1.pdf'), { status: 404 }));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(1);
+        expect(logger.error.firstCall.args[0]).to.include('HTTP 404');
+      });
+
+      it('should fail if the PDF header is missing', async () => {
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(Buffer.alloc(2048)));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(1);
+        expect(logger.error.firstCall.args[0]).to.include('No PDF header');
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          tmpPath(1),
+          path.join(options.outdir, 'nature', '1', '2', 'quarantine',
+                    '01 article 1.bin'));
+      });
+
+      it('should fail if the PDF file is too small', async () => {
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(Buffer.from('%PDF-1.4')));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(1);
+        expect(logger.error.firstCall.args[0]).to.include('Too small');
+      });
+
+      it('should respect the minPdfSize option', async () => {
+        options.minPdfSize = 1;
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(Buffer.from('%PDF-1.4')));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+      });
+    });
+
+    context('when an error status has been served', () => {
+      beforeEach(() => {
+        stubs['./sleep'].resolves();
+      });
+
+      it('should not retry on HTTP 404', async () => {
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(makePdf('1.pdf'), { status: 404 }));
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(logger.warn).to.have.not.been.called;
+        expect(logger.error.firstCall.args[0]).to.include('HTTP 404');
+      });
+
+      it('should not login again on HTTP 403', async () => {
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(makePdf('1.pdf'), { status: 403 }));
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(logger.warn).to.have.not.been.called;
+        expect(pageStub.type.withArgs('#login-username'))
+          .to.have.been.calledOnce;
+      });
+
+      it('should respect Retry-After on HTTP 429', async () => {
+        stubs['./http'].download.onCall(0).resolves(makeResponse(
+          makePdf('1.pdf'), { status: 429, retryAfter: '120' }));
+        stubs['./http'].download.onCall(1)
+          .resolves(makeResponse(makePdf('1.pdf')));
+        stubs['./http'].download.onCall(2)
+          .resolves(makeResponse(makePdf('2.pdf')));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(stubs['./sleep']).to.have.been.calledWith(120);
+      });
+
+      it('should not retry if the article page is not found', async () => {
+        pageStub.goto.withArgs('https://www.nature.com/articles/1.html')
+          .resolves({ status: () => 404, headers: () => ({}) });
+        const downloader = new Downloader(options, logger);
+        const report = await downloader.download(journals);
+        expect(report.articles[0])
+          .to.include({ status: 'failed', error: 'HTTP 404' });
+        expect(stubs['./sleep']).to.have.not.been.called;
+      });
+
+      it('should retry if the article page is unavailable', async () => {
+        pageStub.goto.withArgs('https://www.nature.com/articles/1.html')
+          .onFirstCall().resolves({ status: () => 503, headers: () => ({}) });
+        const downloader = new Downloader(options, logger);
+        const report = await downloader.download(journals);
+        expect(report.articles[0]).to.include({ status: 'downloaded' });
+        expect(stubs['./sleep']).to.have.been.calledOnceWith(5);
+      });
+    });
+
+    context('when the supplementary option is specified', () => {
+      const siUrl = 'https://static-content.springer.com/esm/1_ESM.pdf';
+      const sdUrl = 'https://static-content.springer.com/esm/2_ESM.xlsx';
+      const edUrl = 'https://media.springernature.com/full/3_ESM.jpg';
+
+      beforeEach(() => {
+        options.supplementary = true;
+        journals[0].articles.pop();
+        pageStub.evaluate.reset();
+        pageStub.evaluate.callsFake(async (fn) => {
+          if (fn.name === 'findPdfUrlOnBrowser') {
+            return 'https://www.nature.com/articles/1.pdf';
+          }
+          return [
+            { kind: 'supplementary', title: 'SI', url: siUrl },
+            { kind: 'source-data', title: 'Source data', url: sdUrl },
+            { kind: 'extended-data', title: 'Fig. 1', url: edUrl },
+            { kind: 'supplementary', title: 'Video', url: 'https://x/1.mov' }
+          ];
+        });
+        stubs['./http'].download.reset();
+        stubs['./http'].download.callsFake(async (url) => {
+          return makeResponse(
+            url.endsWith('.pdf') ? makePdf(url) : Buffer.from(url));
+        });
+      });
+
+      it('should download supplementary files of allowed types', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        const dir = path.join(options.outdir, 'nature', '1', '2');
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          path.join(dir, '01 article 1 - SI1.pdf.part'),
+          path.join(dir, '01 article 1 - SI1.pdf'));
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          path.join(dir, '01 article 1 - SD1.xlsx.part'),
+          path.join(dir, '01 article 1 - SD1.xlsx'));
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          path.join(dir, '01 article 1 - ED1.jpg.part'),
+          path.join(dir, '01 article 1 - ED1.jpg'));
+        expect(stubs['./http'].download)
+          .to.have.not.been.calledWith('https://x/1.mov');
+      });
+
+      it('should keep names of files within 255 bytes', async () => {
+        journals[0].articles[0].title = 'a'.repeat(300);
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        const names = stubs.fs.renameSync.args
+              .reduce((acc, args) => acc.concat(args), [])
+              .map((file) => path.basename(file));
+        expect(names).to.include(`01 ${'a'.repeat(216)} - SD1.xlsx`);
+        for (let name of names) {
+          expect(Buffer.byteLength(name)).to.be.at.most(255);
+        }
+      });
+
+      it('should respect the allow-list', async () => {
+        options.supplementary = 'xlsx,.JPG';
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs['./http'].download).to.have.been.calledWith(sdUrl);
+        expect(stubs['./http'].download).to.have.been.calledWith(edUrl);
+        expect(stubs['./http'].download).to.have.not.been.calledWith(siUrl);
+      });
+
+      it('should record supplementary files in the manifest', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        const supplementary = manifest.articles[0].supplementary;
+        expect(supplementary).to.have.length(3);
+        expect(supplementary[1]).to.include({
+          kind: 'source-data',
+          title: 'Source data',
+          url: sdUrl,
+          file: '01 article 1 - SD1.xlsx',
+          status: 'downloaded',
+          size: Buffer.from(sdUrl).length
+        });
+      });
+
+      it('should not fail if a supplementary file fails', async () => {
+        stubs['./http'].download.withArgs(sdUrl)
+          .resolves(makeResponse(Buffer.alloc(0), { status: 500 }));
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(logger.warn).to.have.been.calledOnce;
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles[0]).to.have.property('status', 'downloaded');
+        expect(manifest.articles[0].supplementary[1])
+          .to.include({ status: 'failed', error: 'HTTP 500' });
+      });
+
+      it('should retry articles whose supplementary files failed', async () => {
+        const dir = path.join(options.outdir, 'nature', '1', '2');
+        stubs.fs.existsSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns(true);
+        stubs.fs.readFileSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns(JSON.stringify({ version: 1, journal: null, articles: [
+            { index: 1, url: 'https://www.nature.com/articles/1.html',
+              status: 'downloaded', file: null,
+              supplementary: [{ status: 'failed' }] }
+          ]}));
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+      });
+    });
+
     context('when the sleep option value is larger than 0', () => {
       beforeEach(() => {
         options.sleep = 10;
@@ -342,7 +870,146 @@ describe('Downloader', () => {
       });
     });
 
-    context('when the cursor file exists', async () => {
+    context('when the manifest file exists', () => {
+      const dir = path.join('outdir', 'nature', '1', '2');
+
+      function setManifest(articles) {
+        stubs.fs.existsSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns(true);
+        stubs.fs.readFileSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns(JSON.stringify({ version: 1, journal: null, articles }));
+      }
+
+      it('should skip downloaded articles', async () => {
+        setManifest([
+          { index: 1, url: 'https://www.nature.com/articles/1.html',
+            file: '01 article 1.pdf', status: 'downloaded' },
+          { index: 2, url: 'https://www.nature.com/articles/2.html',
+            status: 'failed' }
+        ]);
+        stubs.fs.existsSync.withArgs(path.join(dir, '01 article 1.pdf'))
+          .returns(true);
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.not.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/2.html');
+      });
+
+      it('should skip articles without a PDF file', async () => {
+        setManifest([
+          { index: 1, url: 'https://www.nature.com/articles/1.html',
+            status: 'skipped' }
+        ]);
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.not.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+      });
+
+      it('should redo skipped articles if redoSkipped is true', async () => {
+        setManifest([
+          { index: 1, url: 'https://www.nature.com/articles/1.html',
+            status: 'skipped' }
+        ]);
+        options.redoSkipped = true;
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+      });
+
+      it('should download other issues if it is broken', async () => {
+        stubs.fs.existsSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns(true);
+        stubs.fs.readFileSync.withArgs(path.join(dir, 'manifest.json'))
+          .returns('{"version":');
+        journals.push(Object.assign({}, journals[0], { issue: 3 }));
+        const downloader = new Downloader(options, logger);
+        const report = await downloader.download(journals);
+        expect(report.status).to.equal(1);
+        expect(report.issues.map((issue) => issue.issue))
+          .to.eql(['nature:1:2', 'nature:1:3']);
+        expect(report.issues[0].error).to.include('Broken manifest');
+        expect(report.articles.map((a) => [a.issue, a.status])).to.eql([
+          ['nature:1:3', 'downloaded'], ['nature:1:3', 'downloaded']
+        ]);
+      });
+
+      it('should download articles whose files are missing', async () => {
+        setManifest([
+          { index: 1, url: 'https://www.nature.com/articles/1.html',
+            file: '01 article 1.pdf', status: 'downloaded' }
+        ]);
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+      });
+
+      it('should download articles whose URLs have changed', async () => {
+        setManifest([
+          { index: 1, url: 'https://www.nature.com/articles/0.html',
+            status: 'skipped' }
+        ]);
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.been.calledWith(
+          'https://www.nature.com/articles/1.html');
+      });
+    });
+
+    context('when articles have been filtered', () => {
+      beforeEach(() => {
+        journals[0].articles = [
+          Object.assign(journals[0].articles[1], { index: 5 })
+        ];
+        pageStub.evaluate.onCall(0)
+          .resolves('https://www.nature.com/articles/2.pdf');
+      });
+
+      it('should keep the index in the issue', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          path.join(options.outdir, 'nature', '1', '2',
+                    '05 article 2.pdf.part'),
+          path.join(options.outdir, 'nature', '1', '2', '05 article 2.pdf'));
+        const manifest =
+              lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+        expect(manifest.articles).to.have.length(1);
+        expect(manifest.articles[0]).to.include({
+          index: 5,
+          file: '05 article 2.pdf',
+          status: 'downloaded'
+        });
+      });
+    });
+
+    context('when templates are specified', () => {
+      beforeEach(() => {
+        options.dirTemplate = '{year}/{date}';
+        options.fileTemplate = '{index}/{title}.pdf';
+      });
+
+      it('should save files into sub-folders', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const dir = path.join(options.outdir, '2018', '2018-04-01');
+        expect(stubs.mkdirp.sync).to.have.been.calledWith(dir);
+        expect(stubs.mkdirp.sync)
+          .to.have.been.calledWith(path.join(dir, '01'));
+        expect(stubs.fs.renameSync).to.have.been.calledWith(
+          path.join(dir, '01', 'article 1.pdf.part'),
+          path.join(dir, '01', 'article 1.pdf'));
+        const manifest = lastManifest(dir);
+        expect(manifest.articles[0])
+          .to.include({ file: path.join('01', 'article 1.pdf') });
+      });
+    });
+
+    context('when a cursor file made by older versions exists', () => {
       beforeEach(() => {
         stubs.fs.existsSync.withArgs(
           path.join(options.outdir, 'nature', '1', '2', 'cursor'))
@@ -358,17 +1025,25 @@ describe('Downloader', () => {
         expect(pageStub.goto).to.have.been.calledWith(
           'https://www.nature.com/articles/2.html');
       });
+
+      it('should remove the cursor file', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(stubs.fs.unlinkSync).to.have.been.calledWith(
+          path.join(options.outdir, 'nature', '1', '2', 'cursor'));
+      });
     });
 
-    context('when fetchOnBrowser has returned an invalid data URL', async () => {
+    context('when an empty response has been served', () => {
       beforeEach(() => {
         options.retry = 0;
-        pageStub.evaluate.onCall(1).resolves(`data:,text`);
+        stubs['./http'].download.onCall(0)
+          .resolves(makeResponse(Buffer.alloc(0)));
       });
 
       it('should return 1', async () => {
         const downloader = new Downloader(options, logger);
-        const status = await downloader.download(journals);
+        const { status } = await downloader.download(journals);
         expect(status).to.equal(1);
       });
 
@@ -387,13 +1062,217 @@ describe('Downloader', () => {
     });
   });
 
+  describe('login session', () => {
+    const LOGIN_URL = 'https://idp.nature.com/login/natureuser';
+    const LOGOUT_URL = 'https://idp.nature.com/logout/natureuser';
+    const cookies = [{ name: 'session', value: 'xxx', expires: -1 }];
+    let sessionStub = null;
+
+    beforeEach(() => {
+      options.sessionFile = 'session.json';
+      sessionStub = {
+        load: sinon.stub().returns(null),
+        save: sinon.stub(),
+        remove: sinon.stub()
+      };
+      stubs['./session'].returns(sessionStub);
+    });
+
+    it('should save the session after login', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(stubs['./session']).to.have.been.calledWith('session.json');
+      expect(sessionStub.save).to.have.been.calledWith(
+        'username', [{ name: 'session', value: 'xxx' }]);
+      expect(pageStub.cookies).to.have.been.calledWith(
+        'https://idp.nature.com/', 'https://www.nature.com/');
+    });
+
+    it('should remove the session after logout', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(pageStub.goto).to.have.been.calledWith(LOGOUT_URL);
+      expect(sessionStub.remove).to.have.been.called;
+    });
+
+    context('when a valid session has been saved', () => {
+      beforeEach(() => {
+        sessionStub.load.returns(cookies);
+      });
+
+      it('should not login', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(pageStub.setCookie).to.have.been.calledWith(cookies[0]);
+        expect(pageStub.goto).to.have.been.calledWith(LOGIN_URL);
+        expect(pageStub.type).to.have.not.been.called;
+      });
+    });
+
+    context('when the saved session has expired', () => {
+      beforeEach(() => {
+        sessionStub.load.returns(cookies);
+        pageStub.url.onCall(0).returns(LOGIN_URL);
+      });
+
+      it('should login', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(pageStub.type)
+          .to.have.been.calledWith('#login-username', 'username');
+        expect(sessionStub.save).to.have.been.called;
+      });
+    });
+
+    context('when options.keepSession is true', () => {
+      beforeEach(() => {
+        options.keepSession = true;
+      });
+
+      it('should not logout', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        expect(pageStub.goto).to.have.not.been.calledWith(LOGOUT_URL);
+        expect(sessionStub.remove).to.have.not.been.called;
+      });
+    });
+
+    context('when the limit of concurrent logins is reached', () => {
+      beforeEach(() => {
+        pageStub.url.onCall(0)
+          .returns(`${LOGIN_URL}?error=concurrency_limit_reached`);
+      });
+
+      it('should wait and login again', async () => {
+        options.waitLoginLimit = 30;
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(0);
+        expect(stubs['./sleep']).to.have.been.calledWith(1800);
+        expect(pageStub.type.withArgs('#login-username', 'username'))
+          .to.have.been.calledTwice;
+      });
+
+      it('should fail without options.waitLoginLimit', async () => {
+        const downloader = new Downloader(options, logger);
+        const { status } = await downloader.download(journals);
+        expect(status).to.equal(1);
+        expect(stubs['./sleep']).to.have.not.been.called;
+        expect(pageStub.goto).to.have.not.been.calledWith(LOGOUT_URL);
+      });
+    });
+  });
+
+  describe('JSON log format', () => {
+    beforeEach(() => {
+      options.logFormat = 'json';
+    });
+
+    function events() {
+      return logger.info.getCalls().map((call) => JSON.parse(call.args[0]));
+    }
+
+    it('should write only JSON events', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(events().map((e) => e.type)).to.eql([
+        'login', 'issue-start',
+        'article-start', 'saved', 'article-start', 'saved',
+        'done'
+      ]);
+    });
+
+    it('should write events of the issue', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(events()[1]).to.include({
+        issue: 'nature:1:2',
+        dir: path.join(options.outdir, 'nature', '1', '2'),
+        articles: 2,
+        queued: 2
+      });
+    });
+
+    it('should write saved files with progress counters', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(events()[3]).to.include({
+        type: 'saved',
+        issue: 'nature:1:2',
+        url: 'https://www.nature.com/articles/1.html',
+        index: 1,
+        path: path.join(options.outdir, 'nature', '1', '2', '01 article 1.pdf'),
+        bytes: makePdf('1.pdf').length,
+        count: 1,
+        total: 2,
+        trial: 1,
+        maxTrial: 5
+      });
+    });
+
+    it('should write the summary', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      expect(events()[6]).to.include({
+        type: 'done', warnings: 0, errors: 0, status: 0
+      });
+    });
+
+    context('when http.download throws an error', () => {
+      beforeEach(() => {
+        options.retry = 1;
+        stubs['./sleep'].resolves();
+        pageStub.evaluate.resolves('https://www.nature.com/articles/2.pdf');
+        stubs['./http'].download.onCall(1).rejects(new Error('Timeout'));
+        stubs['./http'].download.onCall(2).rejects(new Error('Timeout'));
+      });
+
+      it('should write retry and failed events', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const retry = events().find((e) => e.type === 'retry');
+        expect(retry).to.include({
+          url: 'https://www.nature.com/articles/2.html', wait: 5, trial: 1
+        });
+        expect(retry.message).to.include('Timeout');
+        const failed = events().find((e) => e.type === 'failed');
+        expect(failed).to.include({
+          url: 'https://www.nature.com/articles/2.html', trial: 2
+        });
+        expect(events().pop()).to.include({ errors: 1, status: 1 });
+        expect(logger.warn).to.have.not.been.called;
+        expect(logger.error).to.have.not.been.called;
+      });
+    });
+
+    context('when a link to a PDF file has not been found', () => {
+      beforeEach(() => {
+        pageStub.evaluate.reset();
+        pageStub.evaluate.resolves(null);
+      });
+
+      it('should write skipped events', async () => {
+        const downloader = new Downloader(options, logger);
+        await downloader.download(journals);
+        const skipped = events().filter((e) => e.type === 'skipped');
+        expect(skipped).to.have.length(2);
+        expect(skipped[0]).to.include({
+          issue: 'nature:1:2', index: 1, message: 'No PDF file found'
+        });
+      });
+    });
+  });
+
   describe('abort', () => {
     it('should return 1', async() => {
       const downloader = new Downloader(options, logger);
       const promise = downloader.download(journals);
       downloader.abort();
-      const status = await promise;
+      const { status, aborted } = await promise;
       expect(status).to.equal(1);
+      expect(aborted).to.be.true;
     });
 
     it('should call browser.close', async () => {
@@ -403,5 +1282,258 @@ describe('Downloader', () => {
       await promise;
       expect(browserStub.close).to.have.been.called;
     });
+
+    it('should logout', async () => {
+      const downloader = new Downloader(options, logger);
+      downloader.on('article-start', () => downloader.abort());
+      await downloader.download(journals);
+      expect(pageStub.goto).to.have.been.calledWith(
+        'https://idp.nature.com/logout/natureuser');
+    });
+
+    it('should cancel the page being loaded', async () => {
+      pageStub.goto.withArgs('https://www.nature.com/articles/1.html')
+        .returns(new Promise(() => {}));
+      const downloader = new Downloader(options, logger);
+      downloader.on('article-start', () => setTimeout(() => {
+        downloader.abort();
+      }, 10));
+      const report = await downloader.download(journals);
+      expect(report.articles).to.eql([{
+        status: 'pending',
+        issue: 'nature:1:2',
+        index: 1,
+        url: 'https://www.nature.com/articles/1.html',
+        title: 'article 1'
+      }]);
+      const manifest =
+            lastManifest(path.join(options.outdir, 'nature', '1', '2'));
+      expect(manifest.articles[0]).to.have.property('status', 'pending');
+    });
+
+    it('should stop the navigation before logging out', async () => {
+      pageStub.goto.withArgs('https://www.nature.com/articles/1.html')
+        .returns(new Promise(() => {}));
+      const downloader = new Downloader(options, logger);
+      downloader.on('article-start', () => setTimeout(() => {
+        downloader.abort();
+      }, 10));
+      await downloader.download(journals);
+      const blank = pageStub.goto.withArgs('about:blank');
+      const logout =
+            pageStub.goto.withArgs('https://idp.nature.com/logout/natureuser');
+      expect(blank).to.have.been.calledOnce;
+      expect(blank).to.have.been.calledBefore(logout);
+    });
+
+    it('should stop the navigation of the login', async () => {
+      pageStub.waitForNavigation.returns(new Promise(() => {}));
+      const downloader = new Downloader(options, logger);
+      setTimeout(() => downloader.abort(), 10);
+      const report = await downloader.download(journals);
+      expect(report.aborted).to.be.true;
+      expect(pageStub.goto).to.have.been.calledWith('about:blank');
+      expect(browserStub.close).to.have.been.called;
+    });
+
+    it('should pass the signal to http.download', async () => {
+      const downloader = new Downloader(options, logger);
+      await downloader.download(journals);
+      const signal = stubs['./http'].download.firstCall.args[2].signal;
+      expect(signal).to.have.property('aborted', false);
+      downloader.abort();
+      expect(signal).to.have.property('aborted', true);
+    });
+
+    context('when an AbortSignal is specified', () => {
+      it('should stop when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const downloader = new Downloader(options, logger);
+        downloader.on('article-start', () => controller.abort());
+        const report = await downloader.download(
+          journals, { signal: controller.signal });
+        expect(report.aborted).to.be.true;
+        expect(stubs['./http'].download).to.have.not.been.called;
+      });
+
+      it('should not start if the signal has been aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const downloader = new Downloader(options, logger);
+        const report = await downloader.download(
+          journals, { signal: controller.signal });
+        expect(report.aborted).to.be.true;
+        expect(report.articles).to.have.length(0);
+      });
+    });
+  });
+
+  describe('events', () => {
+    it('should emit events with their types', async () => {
+      const downloader = new Downloader(options);
+      const saved = sinon.stub();
+      const all = sinon.stub();
+      downloader.on('saved', saved);
+      downloader.on('event', all);
+      await downloader.download(journals);
+      expect(saved).to.have.been.calledTwice;
+      expect(saved.firstCall.args[0]).to.include({
+        type: 'saved',
+        issue: 'nature:1:2',
+        index: 1,
+        status: 'downloaded',
+        bytes: makePdf('1.pdf').length
+      });
+      expect(all.args.map((args) => args[0].type)).to.include.members([
+        'log', 'login', 'issue-start', 'article-start', 'saved', 'done'
+      ]);
+    });
+
+    it('should not require the logger', async () => {
+      const downloader = new Downloader(options);
+      const { status } = await downloader.download(journals);
+      expect(status).to.equal(0);
+    });
+  });
+
+  describe('report', () => {
+    it('should include outcomes of articles', async () => {
+      pageStub.evaluate.onCall(1).resolves(null);
+      const downloader = new Downloader(options, logger);
+      const report = await downloader.download(journals);
+      expect(report).to.include({
+        status: 0, aborted: false, warnings: 1, errors: 0
+      });
+      expect(report.issues).to.eql([{
+        issue: 'nature:1:2',
+        dir: path.join(options.outdir, 'nature', '1', '2'),
+        articles: 2,
+        queued: 2
+      }]);
+      expect(report.articles).to.eql([
+        {
+          status: 'downloaded',
+          issue: 'nature:1:2',
+          index: 1,
+          url: 'https://www.nature.com/articles/1.html',
+          title: 'article 1',
+          path: path.join(
+            options.outdir, 'nature', '1', '2', '01 article 1.pdf'),
+          bytes: makePdf('1.pdf').length
+        },
+        {
+          status: 'skipped',
+          issue: 'nature:1:2',
+          index: 2,
+          url: 'https://www.nature.com/articles/2.html',
+          title: 'article 2',
+          error: 'No PDF file found'
+        }
+      ]);
+    });
+
+    it('should include failed articles', async () => {
+      options.retry = 0;
+      stubs['./http'].download.onCall(1).rejects(new Error('Timeout'));
+      const downloader = new Downloader(options, logger);
+      const report = await downloader.download(journals);
+      expect(report.status).to.equal(1);
+      expect(report.articles[1]).to.include({
+        status: 'failed', index: 2, error: 'Timeout'
+      });
+    });
+  });
+
+  describe('plan', () => {
+    const dir = path.join('outdir', 'nature', '1', '2');
+
+    it('should list files to be downloaded', () => {
+      const downloader = new Downloader(options, logger);
+      const plan = downloader.plan(journals);
+      expect(plan).to.include({ articles: 2, queued: 2 });
+      expect(plan.issues).to.have.length(1);
+      expect(plan.issues[0]).to.include({
+        issue: 'nature:1:2',
+        dir,
+        exists: false,
+        cursor: null,
+        resumeAt: 1,
+        articles: 2,
+        queued: 2
+      });
+      expect(plan.issues[0].files[0]).to.eql({
+        index: 1,
+        title: 'article 1',
+        url: 'https://www.nature.com/articles/1.html',
+        file: '01 article 1.pdf',
+        exists: false,
+        status: 'pending',
+        queued: true
+      });
+    });
+
+    it('should not log in nor write anything', () => {
+      const downloader = new Downloader(options, logger);
+      downloader.plan(journals);
+      expect(stubs.puppeteer.launch).to.have.not.been.called;
+      expect(stubs['./http'].download).to.have.not.been.called;
+      expect(stubs.mkdirp.sync).to.have.not.been.called;
+      expect(stubs.fs.writeFileSync).to.have.not.been.called;
+    });
+
+    it('should skip downloaded articles', () => {
+      stubs.fs.existsSync.withArgs(path.join(dir, 'manifest.json'))
+        .returns(true);
+      stubs.fs.existsSync.withArgs(path.join(dir, '01 article 1.pdf'))
+        .returns(true);
+      stubs.fs.readFileSync.withArgs(path.join(dir, 'manifest.json'))
+        .returns(JSON.stringify({ version: 1, journal: null, articles: [
+          { index: 1, url: 'https://www.nature.com/articles/1.html',
+            file: '01 article 1.pdf', status: 'downloaded' }
+        ] }));
+      const downloader = new Downloader(options, logger);
+      const plan = downloader.plan(journals);
+      expect(plan).to.include({ articles: 2, queued: 1 });
+      expect(plan.issues[0]).to.include({ resumeAt: 2, queued: 1 });
+      expect(plan.issues[0].files[0]).to.include({
+        exists: true,
+        status: 'downloaded',
+        queued: false
+      });
+    });
+
+    it('should report issues having broken manifests', () => {
+      stubs.fs.existsSync.withArgs(path.join(dir, 'manifest.json'))
+        .returns(true);
+      stubs.fs.readFileSync.withArgs(path.join(dir, 'manifest.json'))
+        .returns('{"version":');
+      journals.push(Object.assign({}, journals[0], { issue: 3 }));
+      const downloader = new Downloader(options, logger);
+      const plan = downloader.plan(journals);
+      expect(plan).to.include({ articles: 4, queued: 2 });
+      expect(plan.issues[0]).to.include({ queued: 0, resumeAt: null });
+      expect(plan.issues[0].files).to.eql([]);
+      expect(plan.issues[0].error).to.include('Broken manifest');
+      expect(plan.issues[1]).to.include({ issue: 'nature:1:3', queued: 2 });
+    });
+
+    context('when a cursor file made by older versions exists', () => {
+      beforeEach(() => {
+        stubs.fs.existsSync.withArgs(path.join(dir, 'cursor')).returns(true);
+        stubs.fs.readFileSync.withArgs(path.join(dir, 'cursor')).returns('1');
+      });
+
+      it('should resume from the cursor', () => {
+        const downloader = new Downloader(options, logger);
+        const plan = downloader.plan(journals);
+        expect(plan.issues[0]).to.include({ cursor: 1, resumeAt: 2 });
+      });
+
+      it('should not remove the cursor file', () => {
+        const downloader = new Downloader(options, logger);
+        downloader.plan(journals);
+        expect(stubs.fs.unlinkSync).to.have.not.been.called;
+      });
+    });
   });
 });
@@ -0,0 +1,88 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const EventLog = require('../lib/event-log');
+
+describe('EventLog', () => {
+  const progress = { count: 1, total: 2, trial: 1, maxTrial: 5 };
+  let logger = null;
+
+  beforeEach(() => {
+    logger = {
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub()
+    };
+  });
+
+  it('should throw an error for unsupported formats', () => {
+    expect(() => new EventLog(logger, 'xml'))
+      .to.throw('Unsupported log format: xml');
+  });
+
+  describe('makeEvent', () => {
+    it('should add progress counters', () => {
+      expect(EventLog.makeEvent('saved', { bytes: 10 }, progress)).to.include({
+        type: 'saved', bytes: 10, count: 1, total: 2, trial: 1, maxTrial: 5
+      });
+    });
+  });
+
+  describe('attach', () => {
+    it('should write events emitted as "event" events', () => {
+      const emitter = new EventEmitter();
+      new EventLog(logger, 'json').attach(emitter);
+      emitter.emit('event', EventLog.makeEvent('done'));
+      expect(logger.info).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the format is text', () => {
+    it('should write only messages', () => {
+      const events = new EventLog(logger, 'text');
+      events.emit('done', { status: 0 });
+      events.emit('log', { level: 'info', message: 'Done' });
+      expect(events.json).to.be.false;
+      expect(logger.info).to.have.been.calledOnce;
+      expect(logger.info.firstCall.args[0]).to.match(/: Done$/);
+    });
+
+    it('should write warnings and errors with their levels', () => {
+      const events = new EventLog(logger, 'text');
+      events.emit('retry', { level: 'warning', message: 'Retry' }, progress);
+      events.emit('failed', { level: 'error', message: 'Failed' }, progress);
+      expect(logger.warn.firstCall.args[0]).to.include(' 1/ 2: 1/5: Retry');
+      expect(logger.error.firstCall.args[0]).to.include(' 1/ 2: 1/5: Failed');
+    });
+  });
+
+  context('when the format is json', () => {
+    it('should write an event in a line', () => {
+      new EventLog(logger, 'json').emit('done', { status: 0 });
+      expect(logger.info).to.have.been.calledOnce;
+      const line = logger.info.firstCall.args[0];
+      expect(line).to.not.include('\n');
+      const event = JSON.parse(line);
+      expect(event).to.include({ type: 'done', status: 0 });
+      expect(event).to.have.property('time');
+    });
+
+    it('should not write informational messages', () => {
+      const events = new EventLog(logger, 'json');
+      events.emit('log', { level: 'info', message: 'Loading' });
+      events.emit('log', { level: 'warning', message: 'Warning' });
+      expect(logger.info).to.have.been.calledOnce;
+      expect(JSON.parse(logger.info.firstCall.args[0]))
+        .to.include({ level: 'warning' });
+    });
+  });
+});
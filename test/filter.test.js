@@ -0,0 +1,103 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+const filter = require('../lib/filter');
+
+describe('filter', () => {
+  let journals = null;
+
+  beforeEach(() => {
+    journals = [
+      {
+        name: 'nature', volume: 555, issue: 7694, date: '2018-03-08',
+        articles: [
+          { title: 'Quantum gravity', type: 'Article',
+            authors: ['José Müller', 'Jane Smith'], url: '1' },
+          { title: 'A view of quantum', type: 'News & Views',
+            authors: ['John Doe'], url: '2' },
+          { title: 'Cells', type: 'Letter',
+            authors: ['Jane Smith'], url: '3' },
+          { title: 'Legacy', url: '4' }
+        ]
+      },
+      { name: 'nature', volume: 555, issue: 7695, error: 'Not found' }
+    ];
+  });
+
+  function urls(options) {
+    return filter.filterJournals(journals, options)[0].articles
+      .map((article) => article.url);
+  }
+
+  describe('filterJournals', () => {
+    it('should keep all articles without filters', () => {
+      expect(urls({})).to.eql(['1', '2', '3', '4']);
+    });
+
+    it('should keep indices in the issue', () => {
+      const articles =
+            filter.filterJournals(journals, { includeType: 'letter' })[0]
+            .articles;
+      expect(articles).to.eql([Object.assign({ index: 3 },
+                                             journals[0].articles[2])]);
+    });
+
+    it('should keep indices already filtered', () => {
+      journals[0].articles[2].index = 10;
+      const articles =
+            filter.filterJournals(journals, { includeType: 'Letter' })[0]
+            .articles;
+      expect(articles[0]).to.have.property('index', 10);
+    });
+
+    it('should not change the input', () => {
+      filter.filterJournals(journals, { includeType: 'Article' });
+      expect(journals[0].articles).to.have.length(4);
+      expect(journals[0].articles[0]).to.not.have.property('index');
+    });
+
+    it('should return journals having an error as is', () => {
+      expect(filter.filterJournals(journals, { includeType: 'Article' })[1])
+        .to.equal(journals[1]);
+    });
+
+    it('should filter articles by types', () => {
+      expect(urls({ includeType: 'article,LETTER' })).to.eql(['1', '3']);
+      expect(urls({ includeType: ['Article', 'Letter'] })).to.eql(['1', '3']);
+      expect(urls({ excludeType: 'news & views' })).to.eql(['1', '3', '4']);
+    });
+
+    it('should filter articles by titles', () => {
+      expect(urls({ titleMatch: 'quantum' })).to.eql(['1', '2']);
+    });
+
+    it('should filter articles by authors', () => {
+      expect(urls({ author: 'jose muller' })).to.eql(['1']);
+      expect(urls({ author: ['Smith', 'Doe'] })).to.eql(['1', '2', '3']);
+    });
+
+    it('should combine filters', () => {
+      expect(urls({ includeType: 'Article,Letter', author: 'Smith',
+                    titleMatch: 'cell' })).to.eql(['3']);
+    });
+
+    it('should throw an Error object for invalid regular expressions', () => {
+      expect(() => filter.filterJournals(journals, { titleMatch: '(' }))
+        .to.throw(Error);
+    });
+  });
+
+  describe('hasFilters', () => {
+    it('should return true if some filters are specified', () => {
+      expect(filter.hasFilters({})).to.be.false;
+      expect(filter.hasFilters({ includeType: [] })).to.be.false;
+      expect(filter.hasFilters({ author: 'Smith' })).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,222 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const expect = chai.expect;
+
+const AbortController = require('../lib/abort-controller');
+const { download, parseProxy } = require('../lib/http');
+
+describe('http', () => {
+  let server = null;
+  let baseUrl = null;
+  let tmpdir = null;
+  let requests = null;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      // The absolute URL is requested when this server is used as a proxy.
+      switch (req.url.replace(/^http:\/\/[^/]+/, '')) {
+      case '/file.pdf':
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end('%PDF-1.4 body');
+        break;
+      case '/redirect':
+        res.writeHead(302, { 'Location': '/file.pdf' });
+        res.end();
+        break;
+      case '/loop':
+        res.writeHead(302, { 'Location': '/loop' });
+        res.end();
+        break;
+      case '/truncated':
+        res.writeHead(200, { 'Content-Length': '100' });
+        res.write('%PDF-1.4');
+        res.destroy();
+        break;
+      case '/busy':
+        res.writeHead(429, { 'Retry-After': '120' });
+        res.end();
+        break;
+      case '/slow':
+        // The rest of the body is never sent.
+        res.writeHead(200, { 'Content-Length': '100' });
+        res.write('%PDF-1.4');
+        break;
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<html>Not found</html>');
+        break;
+      }
+    });
+    server.on('connect', (req, socket) => {
+      requests.push(req);
+      socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    requests = [];
+  });
+
+  afterEach(() => {
+    for (let file of fs.readdirSync(tmpdir)) {
+      fs.unlinkSync(path.join(tmpdir, file));
+    }
+    fs.rmdirSync(tmpdir);
+  });
+
+  describe('download', () => {
+    it('should write the body into the file', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const res = await download(`${baseUrl}/file.pdf`, file);
+      expect(fs.readFileSync(file, 'utf8')).to.equal('%PDF-1.4 body');
+      expect(res).to.include({
+        status: 200,
+        contentType: 'application/pdf',
+        url: `${baseUrl}/file.pdf`,
+        size: 13,
+        sha256: crypto.createHash('sha256')
+          .update('%PDF-1.4 body').digest('hex')
+      });
+      expect(res.head.toString()).to.equal('%PDF-1.4 body');
+    });
+
+    it('should send headers and cookies', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      await download(`${baseUrl}/file.pdf`, file, {
+        headers: { 'User-Agent': 'njtool' },
+        cookie: async (url) => `url=${url}`
+      });
+      expect(requests[0].headers).to.include({
+        'user-agent': 'njtool',
+        'cookie': `url=${baseUrl}/file.pdf`
+      });
+    });
+
+    it('should follow redirects', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const cookie = async (url) => url;
+      const res = await download(`${baseUrl}/redirect`, file, { cookie });
+      expect(res).to.have.property('url', `${baseUrl}/file.pdf`);
+      expect(requests.map((req) => req.headers.cookie)).to.eql([
+        `${baseUrl}/redirect`, `${baseUrl}/file.pdf`
+      ]);
+    });
+
+    it('should reject if redirected too many times', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      let error = null;
+      await download(`${baseUrl}/loop`, file).catch((e) => error = e);
+      expect(error).to.be.an('error');
+    });
+
+    it('should write the body even if the status is not 2xx', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const res = await download(`${baseUrl}/missing`, file);
+      expect(res).to.include({ status: 404, contentType: 'text/html' });
+      expect(fs.readFileSync(file, 'utf8')).to.equal('<html>Not found</html>');
+    });
+
+    it('should return the Retry-After header', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const res = await download(`${baseUrl}/busy`, file);
+      expect(res).to.include({ status: 429, retryAfter: '120' });
+    });
+
+    it('should reject if the body is truncated', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      let error = null;
+      await download(`${baseUrl}/truncated`, file).catch((e) => error = e);
+      expect(error).to.be.an('error');
+    });
+
+    it('should reject if the signal is aborted', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const controller = new AbortController();
+      controller.abort();
+      let error = null;
+      await download(`${baseUrl}/file.pdf`, file, {
+        signal: controller.signal
+      }).catch((e) => error = e);
+      expect(error).to.be.an('error').with.property('message')
+        .that.includes('Aborted');
+      expect(requests).to.have.length(0);
+    });
+
+    it('should send requests through the proxy', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const proxy = baseUrl.replace('http://', 'http://user:pass@');
+      const res = await download(
+        'http://www.example.com/file.pdf', file, { proxy });
+      expect(res).to.include({ status: 200 });
+      expect(requests[0].url).to.equal('http://www.example.com/file.pdf');
+      expect(requests[0].headers).to.include({
+        'host': 'www.example.com',
+        'proxy-authorization': 'Basic dXNlcjpwYXNz'
+      });
+    });
+
+    it('should reject if the proxy refuses the tunnel', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      let error = null;
+      await download('https://www.example.com/file.pdf', file, {
+        proxy: baseUrl
+      }).catch((e) => error = e);
+      expect(error).to.be.an('error').with.property('message')
+        .that.includes('Proxy error: 407');
+      expect(requests[0]).to.include({
+        method: 'CONNECT',
+        url: 'www.example.com:443'
+      });
+    });
+
+    it('should cancel the body being received when aborted', async () => {
+      const file = path.join(tmpdir, 'file.pdf');
+      const controller = new AbortController();
+      const promise = download(`${baseUrl}/slow`, file, {
+        signal: controller.signal
+      });
+      setTimeout(() => controller.abort(), 50);
+      let error = null;
+      await promise.catch((e) => error = e);
+      expect(error).to.be.an('error');
+    });
+  });
+
+  describe('parseProxy', () => {
+    it('should accept a proxy without the scheme', () => {
+      expect(parseProxy('proxy.example.com:8080')).to.include({
+        host: 'proxy.example.com:8080',
+        hostname: 'proxy.example.com',
+        port: '8080'
+      });
+    });
+
+    it('should use port 80 by default', () => {
+      expect(parseProxy('http://proxy.example.com'))
+        .to.have.property('port', 80);
+    });
+
+    it('should reject unsupported proxies', () => {
+      expect(() => parseProxy('socks5://proxy.example.com:1080'))
+        .to.throw('Unsupported proxy');
+    });
+  });
+});
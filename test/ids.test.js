@@ -0,0 +1,252 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+// Stubs
+const stubs = {
+  './volume': sinon.stub()
+};
+stubs['./volume'].from = sinon.stub();
+stubs['./volume'].findCurrent = sinon.stub();
+
+const ids = proxyquire('../lib/ids', stubs);
+
+describe('ids', () => {
+  describe('expandVolumeIds', () => {
+    it('should keep exact IDs', () => {
+      expect(ids.expandVolumeIds(['nature:555', 'nphys:14']))
+        .to.eql(['nature:555', 'nphys:14']);
+    });
+
+    it('should expand ranges', () => {
+      expect(ids.expandVolumeIds(['nature:550-552']))
+        .to.eql(['nature:550', 'nature:551', 'nature:552']);
+    });
+
+    it('should remove duplicates', () => {
+      expect(ids.expandVolumeIds(['nature:550-551', 'nature:551']))
+        .to.eql(['nature:550', 'nature:551']);
+    });
+
+    it('should throw an Error object for invalid IDs', () => {
+      expect(() => ids.expandVolumeIds(['nature'])).to.throw(Error);
+      expect(() => ids.expandVolumeIds(['nature:a'])).to.throw(Error);
+      expect(() => ids.expandVolumeIds(['nature:1:2'])).to.throw(Error);
+      expect(() => ids.expandVolumeIds(['unknown:1'])).to.throw(Error);
+      expect(() => ids.expandVolumeIds([1])).to.throw(Error);
+    });
+
+    it('should throw an Error object for invalid ranges', () => {
+      expect(() => ids.expandVolumeIds(['nature:555-550'])).to.throw(Error);
+      expect(() => ids.expandVolumeIds(['nature:1-1001'])).to.throw(Error);
+    });
+  });
+
+  describe('expandJournalIds', () => {
+    it('should expand ranges of issues', () => {
+      expect(ids.expandJournalIds(['nature:555:7694-7696', 'nature:555:7700']))
+        .to.eql([
+          'nature:555:7694', 'nature:555:7695', 'nature:555:7696',
+          'nature:555:7700'
+        ]);
+    });
+
+    it('should throw an Error object for ranges of volumes', () => {
+      expect(() => ids.expandJournalIds(['nature:550-555:1'])).to.throw(Error);
+    });
+
+    it('should throw an Error object for wildcards', () => {
+      expect(() => ids.expandJournalIds(['nature:555:*'])).to.throw(Error);
+    });
+  });
+
+  describe('checkJournalIds', () => {
+    it('should accept IDs including wildcards', () => {
+      expect(() => ids.checkJournalIds(['nature:554-555:*', 'nature:555:1']))
+        .to.not.throw();
+      expect(stubs['./volume'].from).to.have.not.been.called;
+    });
+
+    it('should throw an Error object for invalid IDs', () => {
+      expect(() => ids.checkJournalIds(['nature:555:a'])).to.throw(Error);
+      expect(() => ids.checkJournalIds(['nature:a:*'])).to.throw(Error);
+      expect(() => ids.checkJournalIds(['unknown:1:*'])).to.throw(Error);
+    });
+  });
+
+  describe('resolveJournalIds', () => {
+    let volumes = null;
+
+    beforeEach(() => {
+      volumes = {
+        'nature:554': {
+          name: 'nature', volume: 554, issues: [{ id: 7690 }, { id: 7691 }]
+        },
+        'nature:555': {
+          name: 'nature', volume: 555, issues: [{ id: 7694 }]
+        }
+      };
+      stubs['./volume'].from.callsFake((volumeIds) => volumeIds.map((id) => {
+        return { scrape: sinon.stub().resolves(volumes[id]) };
+      }));
+    });
+
+    afterEach(() => {
+      stubs['./volume'].from.reset();
+    });
+
+    it('should resolve wildcards through volumes', async () => {
+      const resolved = await ids.resolveJournalIds(
+        ['nature:554-555:*', 'nature:555:7694-7695'], {});
+      expect(resolved).to.eql([
+        'nature:554:7690', 'nature:554:7691', 'nature:555:7694',
+        'nature:555:7695'
+      ]);
+    });
+
+    it('should scrape each volume only once', async () => {
+      await ids.resolveJournalIds(['nature:555:*', 'nature:554-555:*'], {});
+      expect(stubs['./volume'].from)
+        .to.have.been.calledOnceWith(['nature:555', 'nature:554']);
+    });
+
+    it('should not scrape volumes without wildcards', async () => {
+      const resolved = await ids.resolveJournalIds(['nature:555:1-2'], {});
+      expect(resolved).to.eql(['nature:555:1', 'nature:555:2']);
+      expect(stubs['./volume'].from).to.have.been.calledOnceWith([]);
+    });
+
+    context('when a volume cannot be scraped', () => {
+      it('should reject', async () => {
+        volumes['nature:555'] = {
+          name: 'nature', volume: 555, error: 'Not found'
+        };
+        let error = null;
+        try {
+          await ids.resolveJournalIds(['nature:555:*'], {});
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.include('Not found');
+      });
+    });
+  });
+
+  describe('filterIssues', () => {
+    const issues = [
+      { id: 1, date: '2018-01-04' },
+      { id: 2, date: '2018-01-11' },
+      { id: 3, date: '2018-01-18' }
+    ];
+
+    it('should select issues by the dates', () => {
+      expect(ids.filterIssues(issues, { since: '2018-01-11' })
+             .map((i) => i.id)).to.eql([2, 3]);
+      expect(ids.filterIssues(issues, { until: '2018-01-11' })
+             .map((i) => i.id)).to.eql([1, 2]);
+      expect(ids.filterIssues(issues, {
+        since: '2018-01-05', until: '2018-01-17'
+      }).map((i) => i.id)).to.eql([2]);
+    });
+
+    it('should return all issues without options', () => {
+      expect(ids.filterIssues(issues)).to.eql(issues);
+    });
+
+    it('should throw an Error object for invalid dates', () => {
+      expect(() => ids.filterIssues(issues, { since: '2018/01/01' }))
+        .to.throw(Error);
+      expect(() => ids.filterIssues(issues, { until: '2018-02-30' }))
+        .to.throw(Error);
+    });
+  });
+
+  describe('getJournalId', () => {
+    it('should return the ID of the journal', () => {
+      expect(ids.getJournalId({ name: 'nature', volume: 555, issue: 7694 }))
+        .to.equal('nature:555:7694');
+    });
+  });
+
+  describe('checkDate', () => {
+    it('should accept dates in the YYYY-MM-DD format', () => {
+      expect(ids.checkDate('2018-01-01')).to.equal('2018-01-01');
+      expect(() => ids.checkDate('2018-1-1')).to.throw('Invalid date');
+      expect(() => ids.checkDate('2018-02-30')).to.throw('Invalid date');
+    });
+  });
+
+  describe('getJournalIds', () => {
+    it('should return sorted journal IDs', () => {
+      const volumes = [
+        { name: 'nature', volume: 556, issues: [{ id: 7700 }] },
+        { name: 'nature', volume: 555, error: 'Not found' },
+        { name: 'nature', volume: 99, issues: [{ id: 10 }, { id: 9 }] }
+      ];
+      expect(ids.getJournalIds(volumes)).to.eql([
+        'nature:99:9', 'nature:99:10', 'nature:556:7700'
+      ]);
+    });
+  });
+
+  describe('findLatestJournalIds', () => {
+    let volumes = null;
+
+    beforeEach(() => {
+      volumes = {
+        'nature:554': {
+          name: 'nature', volume: 554, issues: [
+            { id: 7690, date: '2018-02-01' }, { id: 7691, date: '2018-02-08' }
+          ]
+        },
+        'nature:555': {
+          name: 'nature', volume: 555, issues: [
+            { id: 7694, date: '2018-03-01' }
+          ]
+        }
+      };
+      stubs['./volume'].findCurrent.resolves(555);
+      stubs['./volume'].callsFake((id) => {
+        return { scrape: sinon.stub().resolves(volumes[id]) };
+      });
+    });
+
+    afterEach(() => {
+      stubs['./volume'].reset();
+      stubs['./volume'].findCurrent.reset();
+    });
+
+    it('should return the latest issue', async () => {
+      expect(await ids.findLatestJournalIds('nature', 1, {}))
+        .to.eql(['nature:555:7694']);
+      expect(stubs['./volume']).to.have.been.calledOnce;
+    });
+
+    it('should scrape previous volumes if needed', async () => {
+      expect(await ids.findLatestJournalIds('nature', 2, {}))
+        .to.eql(['nature:554:7691', 'nature:555:7694']);
+    });
+
+    context('when a volume cannot be scraped', () => {
+      it('should reject', async () => {
+        volumes['nature:555'].error = 'Not found';
+        let error = null;
+        try {
+          await ids.findLatestJournalIds('nature', 1, {});
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an('error');
+      });
+    });
+  });
+});
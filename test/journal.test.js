@@ -21,7 +21,10 @@ const stubs = {
 const { Browser } = require('puppeteer/lib/cjs/puppeteer/common/Browser');
 const { Page } = require('puppeteer/lib/cjs/puppeteer/common/Page');
 
-const Journal = proxyquire('../lib/journal', stubs);
+const browserFactory = proxyquire('../lib/browser-factory', stubs);
+const BrowserPool = proxyquire(
+  '../lib/browser-pool', { './browser-factory': browserFactory });
+const Journal = proxyquire('../lib/journal', { './browser-pool': BrowserPool });
 
 // TODO:
 // * Testing scripts executed on the browser
@@ -63,6 +66,10 @@ describe('Journal', () => {
         expect(() => new Journal('a')).to.throw(Error);
         expect(() => new Journal('a:b')).to.throw(Error);
         expect(() => new Journal('a:b:c')).to.throw(Error);
+        expect(() => new Journal('nature:555:7694-7700'))
+          .to.throw('Invalid journal ID');
+        expect(() => new Journal('nature:555x:7694'))
+          .to.throw('Invalid journal ID');
       });
     });
   });
@@ -171,6 +178,24 @@ describe('Journal', () => {
       });
     });
 
+    context('when a browser pool is specified', () => {
+      it('should not launch a browser by itself', async () => {
+        const pool = new BrowserPool({});
+        const journal = new Journal('nature:1:2');
+        await journal.scrape({}, pool);
+        await journal.scrape({}, pool);
+        expect(stubs.puppeteer.launch).to.have.been.calledOnce;
+      });
+
+      it('should not close the browser', async () => {
+        const pool = new BrowserPool({});
+        const journal = new Journal('nature:1:2');
+        await journal.scrape({}, pool);
+        expect(browserStub.close).to.have.not.been.called;
+        expect(pageStub.close).to.have.been.called;
+      });
+    });
+
     context('when the volume number is less than 553', () => {
       it('should use collectArticles2017', async () => {
         const journal = new Journal('nature:552:111');
@@ -237,6 +262,45 @@ describe('Journal', () => {
       });
     });
 
+    context('when the retry option is specified', () => {
+      const options = { retry: 2, retryInterval: 0 };
+
+      it('should retry when page.goto throws an error', async () => {
+        pageStub.goto.onFirstCall().rejects(new Error('Navigation timeout'));
+        const journal = new Journal('nature:1:2');
+        const metadata = await journal.scrape(options);
+        expect(pageStub.goto).to.have.been.calledTwice;
+        expect(metadata).to.not.have.property('error');
+      });
+
+      it('should retry on 5xx responses', async () => {
+        pageStub.goto.onFirstCall().resolves({
+          status: () => 503,
+          headers: () => ({})
+        });
+        const journal = new Journal('nature:1:2');
+        const metadata = await journal.scrape(options);
+        expect(pageStub.goto).to.have.been.calledTwice;
+        expect(metadata).to.not.have.property('error');
+      });
+
+      it('should not retry when 404 error page is loaded', async () => {
+        pageStub.title.returns('Page not found');
+        const journal = new Journal('nature:1:2');
+        const metadata = await journal.scrape(options);
+        expect(pageStub.goto).to.have.been.calledOnce;
+        expect(metadata).to.have.property('error', 'Not found');
+      });
+
+      it('should give up after retrying', async () => {
+        pageStub.goto.rejects(new Error('Navigation timeout'));
+        const journal = new Journal('nature:1:2');
+        const metadata = await journal.scrape(options);
+        expect(pageStub.goto).to.have.been.calledThrice;
+        expect(metadata).to.have.property('error', 'Navigation timeout');
+      });
+    });
+
     context('when the title doesn not contain date', () => {
       beforeEach(() => {
         pageStub.title.returns('title');
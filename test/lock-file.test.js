@@ -0,0 +1,97 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+
+const LockFile = require('../lib/lock-file');
+
+describe('LockFile', () => {
+  let dir = null;
+  let lockPath = null;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    lockPath = path.join(dir, 'test.lock');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (fs.existsSync(lockPath)) {
+      fs.unlinkSync(lockPath);
+    }
+    fs.rmdirSync(dir);
+  });
+
+  describe('acquire', () => {
+    it('should create a lock file', () => {
+      new LockFile(lockPath).acquire();
+      const owner = JSON.parse(fs.readFileSync(lockPath));
+      expect(owner).to.have.property('pid', process.pid);
+    });
+
+    it('should throw an Error object if the lock is held', () => {
+      new LockFile(lockPath).acquire();
+      expect(() => new LockFile(lockPath).acquire()).to.throw(Error);
+    });
+
+    it('should remove a lock file left by a dead process', () => {
+      // The maximum PID on Linux is 4194304.
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: 99999999 }));
+      new LockFile(lockPath).acquire();
+      const owner = JSON.parse(fs.readFileSync(lockPath));
+      expect(owner).to.have.property('pid', process.pid);
+    });
+
+    it('should not leave temporary files', () => {
+      new LockFile(lockPath).acquire();
+      expect(fs.readdirSync(dir)).to.eql(['test.lock']);
+    });
+
+    it('should treat a broken lock file as held until it gets old', () => {
+      fs.writeFileSync(lockPath, '');
+      expect(() => new LockFile(lockPath).acquire()).to.throw('Locked');
+      const time = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(lockPath, time, time);
+      expect(() => new LockFile(lockPath).acquire()).to.not.throw();
+    });
+
+    it('should not remove a lock taken over by another process', () => {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: 99999999 }));
+      const other = new LockFile(lockPath);
+      const renameSync = fs.renameSync;
+      sinon.stub(fs, 'renameSync').callsFake((from, to) => {
+        fs.renameSync.restore();
+        // The other process removes the stale lock file in the meantime.
+        other.acquire();
+        renameSync(from, to);
+      });
+      expect(() => new LockFile(lockPath).acquire()).to.throw('Locked');
+      expect(fs.readdirSync(dir)).to.eql(['test.lock']);
+      other.release();
+      expect(fs.existsSync(lockPath)).to.be.false;
+    });
+  });
+
+  describe('release', () => {
+    it('should remove the lock file', () => {
+      const lock = new LockFile(lockPath);
+      lock.acquire();
+      lock.release();
+      expect(fs.existsSync(lockPath)).to.be.false;
+    });
+
+    it('should not remove a lock file held by others', () => {
+      new LockFile(lockPath).acquire();
+      new LockFile(lockPath).release();
+      expect(fs.existsSync(lockPath)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const path = require('path');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+// Stubs
+const stubs = {
+  'fs': {
+    existsSync: sinon.stub(),
+    readFileSync: sinon.stub(),
+    writeFileSync: sinon.stub(),
+    renameSync: sinon.stub()
+  }
+};
+
+const Manifest = proxyquire('../lib/manifest', stubs);
+
+describe('Manifest', () => {
+  const dir = path.join('outdir', 'nature', '1', '2');
+  const manifestPath = path.join(dir, 'manifest.json');
+  let journal = null;
+
+  beforeEach(() => {
+    journal = {
+      name: 'nature', volume: 1, issue: 2, date: '2018-04-01',
+      url: 'https://www.nature.com/nature/volumes/1/issues/2',
+      articles: [
+        { title: 'article 1', url: 'https://www.nature.com/articles/1.html' },
+        { title: 'article 2', url: 'https://www.nature.com/articles/2.html' }
+      ]
+    };
+    stubs.fs.existsSync.returns(false);
+  });
+
+  afterEach(() => {
+    stubs.fs.existsSync.reset();
+    stubs.fs.readFileSync.reset();
+    stubs.fs.writeFileSync.reset();
+    stubs.fs.renameSync.reset();
+  });
+
+  describe('load', () => {
+    it('should return null if no manifest exists', () => {
+      expect(Manifest.load(dir)).to.be.null;
+    });
+
+    it('should return a manifest if it exists', () => {
+      stubs.fs.existsSync.withArgs(manifestPath).returns(true);
+      stubs.fs.readFileSync.withArgs(manifestPath).returns(
+        JSON.stringify({ version: 1, journal: null, articles: [] }));
+      const manifest = Manifest.load(dir);
+      expect(manifest).to.be.an.instanceOf(Manifest);
+      expect(manifest.articles).to.eql([]);
+    });
+
+    it('should throw an Error object if the manifest is broken', () => {
+      stubs.fs.existsSync.withArgs(manifestPath).returns(true);
+      stubs.fs.readFileSync.withArgs(manifestPath).returns('{"version":');
+      expect(() => Manifest.load(dir)).to.throw(Error, 'Broken manifest');
+    });
+  });
+
+  describe('open', () => {
+    it('should create a pending entry for each article', () => {
+      const manifest = Manifest.open(dir, journal);
+      expect(manifest.journal).to.eql({
+        name: 'nature', volume: 1, issue: 2, date: '2018-04-01',
+        url: 'https://www.nature.com/nature/volumes/1/issues/2'
+      });
+      expect(manifest.articles.map((a) => [a.index, a.status])).to.eql([
+        [1, 'pending'], [2, 'pending']
+      ]);
+    });
+
+    it('should not save the manifest', () => {
+      Manifest.open(dir, journal);
+      expect(stubs.fs.writeFileSync).to.have.not.been.called;
+    });
+
+    it('should keep entries for unchanged articles', () => {
+      stubs.fs.existsSync.withArgs(manifestPath).returns(true);
+      stubs.fs.readFileSync.withArgs(manifestPath).returns(JSON.stringify({
+        version: 1, journal: null, articles: [
+          { index: 2, url: 'https://www.nature.com/articles/2.html',
+            status: 'failed' },
+          { index: 1, url: 'https://www.nature.com/articles/0.html',
+            status: 'downloaded' }
+        ]
+      }));
+      const manifest = Manifest.open(dir, journal);
+      expect(manifest.articles.map((a) => [a.index, a.status])).to.eql([
+        [1, 'pending'], [2, 'failed']
+      ]);
+    });
+  });
+
+  describe('isDone', () => {
+    let manifest = null;
+
+    beforeEach(() => {
+      manifest = Manifest.open(dir, journal);
+    });
+
+    it('should return false for unknown articles', () => {
+      expect(manifest.isDone(3)).to.be.false;
+    });
+
+    it('should return false for failed articles', () => {
+      manifest.update(1, { status: 'failed' });
+      expect(manifest.isDone(1)).to.be.false;
+    });
+
+    it('should return true for skipped articles', () => {
+      manifest.update(1, { status: 'skipped' });
+      expect(manifest.isDone(1)).to.be.true;
+    });
+
+    it('should return false for skipped articles to be redone', () => {
+      manifest.update(1, { status: 'skipped' });
+      expect(manifest.isDone(1, { redoSkipped: true })).to.be.false;
+    });
+
+    it('should check whether the downloaded file exists', () => {
+      manifest.update(1, { status: 'downloaded', file: '01 article 1.pdf' });
+      expect(manifest.isDone(1)).to.be.false;
+      stubs.fs.existsSync.withArgs(path.join(dir, '01 article 1.pdf'))
+        .returns(true);
+      expect(manifest.isDone(1)).to.be.true;
+    });
+  });
+
+  describe('isDone with the supplementary option', () => {
+    let manifest = null;
+
+    beforeEach(() => {
+      manifest = Manifest.open(dir, journal);
+    });
+
+    it('should return false if no supplementary file is recorded', () => {
+      manifest.update(1, { status: 'downloaded', file: null });
+      expect(manifest.isDone(1)).to.be.true;
+      expect(manifest.isDone(1, { supplementary: true })).to.be.false;
+    });
+
+    it('should return false if a supplementary file failed', () => {
+      manifest.update(1, {
+        status: 'downloaded',
+        file: null,
+        supplementary: [{ status: 'downloaded' }, { status: 'failed' }]
+      });
+      expect(manifest.isDone(1, { supplementary: true })).to.be.false;
+    });
+
+    it('should return true if all supplementary files are downloaded', () => {
+      manifest.update(1, {
+        status: 'downloaded',
+        file: null,
+        supplementary: []
+      });
+      expect(manifest.isDone(1, { supplementary: true })).to.be.true;
+    });
+  });
+
+  describe('update', () => {
+    it('should save the manifest', () => {
+      const manifest = Manifest.open(dir, journal);
+      manifest.update(2, { status: 'downloading' });
+      expect(stubs.fs.writeFileSync).to.have.been.calledOnce;
+      const [savedPath, json] = stubs.fs.writeFileSync.firstCall.args;
+      expect(savedPath).to.equal(`${manifestPath}.part`);
+      expect(JSON.parse(json).articles[1])
+        .to.have.property('status', 'downloading');
+      expect(stubs.fs.renameSync)
+        .to.have.been.calledWith(`${manifestPath}.part`, manifestPath);
+    });
+
+    it('should throw an Error object for unknown articles', () => {
+      const manifest = Manifest.open(dir, journal);
+      expect(() => manifest.update(3, {})).to.throw(Error);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const path = require('path');
+
+const expect = chai.expect;
+
+const paths = require('../lib/paths');
+
+describe('paths', () => {
+  let journal = null;
+  let article = null;
+
+  beforeEach(() => {
+    journal = {
+      name: 'nphys', volume: 20, issue: 5, date: '2024-05-02', articles: []
+    };
+    article = {
+      title: 'Quantum/classical: a view', type: 'Article',
+      authors: ['Jane Smith', 'John Doe'],
+      url: 'https://www.nature.com/articles/s41567-024-02468-9'
+    };
+  });
+
+  describe('getJournalDir', () => {
+    it('should return the default path', () => {
+      expect(paths.getJournalDir('outdir', journal))
+        .to.equal(path.join('outdir', 'nphys', '20', '5'));
+    });
+
+    it('should render the template', () => {
+      const options = { dirTemplate: '{year}/{journal}/{month}-{day}' };
+      expect(paths.getJournalDir('outdir', journal, options))
+        .to.equal(path.join('outdir', '2024', 'Nature Physics', '05-02'));
+    });
+
+    it('should replace empty values with "unknown"', () => {
+      delete journal.date;
+      const options = { dirTemplate: '{year}/{date}' };
+      expect(paths.getJournalDir('outdir', journal, options))
+        .to.equal(path.join('outdir', 'unknown', 'unknown'));
+    });
+
+    it('should throw an Error object for unknown placeholders', () => {
+      const options = { dirTemplate: '{name}/{title}' };
+      expect(() => paths.getJournalDir('outdir', journal, options))
+        .to.throw(Error, '{title}');
+    });
+  });
+
+  describe('getArticleFile', () => {
+    it('should return the default file name', () => {
+      expect(paths.getArticleFile('outdir', journal, article, 1))
+        .to.equal('01 Quantumclassical a view.pdf');
+    });
+
+    it('should render the template with sub-folders', () => {
+      const options = { fileTemplate: '{type}/{firstAuthor} - {doi}.pdf' };
+      expect(paths.getArticleFile('outdir', journal, article, 1, options))
+        .to.equal(path.join(
+          'Article', 'Jane Smith - 10.1038_s41567-024-02468-9.pdf'));
+    });
+
+    it('should append the extension', () => {
+      const options = { fileTemplate: '{index}' };
+      expect(paths.getArticleFile('outdir', journal, article, 12, options))
+        .to.equal('12.pdf');
+    });
+
+    it('should prefer the date of the article', () => {
+      article.date = '2024-04-30';
+      const options = { fileTemplate: '{date}' };
+      expect(paths.getArticleFile('outdir', journal, article, 1, options))
+        .to.equal('2024-04-30.pdf');
+    });
+
+    it('should truncate a too long component', () => {
+      article.title = 'a'.repeat(300);
+      const file = paths.getArticleFile('outdir', journal, article, 1);
+      expect(Buffer.byteLength(file))
+        .to.equal(255 - paths.MAX_SUFFIX_LENGTH);
+      expect(file).to.match(/^01 a+\.pdf$/);
+    });
+
+    it('should not break multibyte characters', () => {
+      article.title = 'あ'.repeat(100);
+      const file = paths.getArticleFile('outdir', journal, article, 1);
+      expect(Buffer.byteLength(file))
+        .to.be.at.most(255 - paths.MAX_SUFFIX_LENGTH);
+      expect(file).to.match(/^01 あ+\.pdf$/);
+    });
+
+    it('should truncate the longest value to fit in the budget', () => {
+      const options = { maxPathLength: 40 + paths.MAX_SUFFIX_LENGTH };
+      const dir = paths.getJournalDir('outdir', journal, options);
+      const file =
+            paths.getArticleFile('outdir', journal, article, 1, options);
+      expect(Buffer.byteLength(path.join(dir, file))).to.equal(40);
+      expect(file).to.equal('01 Quantumclassica.pdf');
+    });
+
+    it('should throw an Error object if the path cannot fit', () => {
+      const options = { maxPathLength: 20 };
+      expect(() => {
+        paths.getArticleFile('outdir', journal, article, 1, options);
+      }).to.throw(Error, 'Too long path');
+    });
+  });
+
+  describe('getArticleFiles', () => {
+    beforeEach(() => {
+      journal.articles = [
+        article,
+        Object.assign({}, article, { url: `${article.url}-2` }),
+        Object.assign({}, article, { title: 'Another view' }),
+        Object.assign({}, article, { type: 'article', index: 5 })
+      ];
+    });
+
+    it('should append indices to names of the same paths', () => {
+      const options = { fileTemplate: '{type}/{title}.pdf' };
+      expect(paths.getArticleFiles('outdir', journal, options)).to.eql([
+        path.join('Article', 'Quantumclassical a view.pdf'),
+        path.join('Article', 'Quantumclassical a view (2).pdf'),
+        path.join('Article', 'Another view.pdf'),
+        path.join('article', 'Quantumclassical a view (5).pdf')
+      ]);
+    });
+
+    it('should be used by getArticleFile', () => {
+      const options = { fileTemplate: '{title}' };
+      expect(paths.getArticleFile(
+        'outdir', journal, journal.articles[3], 5, options))
+        .to.equal('Quantumclassical a view (5).pdf');
+    });
+
+    it('should keep suffixes within the limit', () => {
+      journal.articles.forEach((a) => {
+        a.title = 'a'.repeat(300);
+      });
+      const files = paths.getArticleFiles('outdir', journal);
+      expect(files[0]).to.match(/^01 a+\.pdf$/);
+      expect(files[3]).to.match(/^05 a+\.pdf$/);
+      const options = { fileTemplate: '{title}' };
+      for (let file of paths.getArticleFiles('outdir', journal, options)) {
+        expect(Buffer.byteLength(file))
+          .to.be.at.most(255 - paths.MAX_SUFFIX_LENGTH);
+      }
+      expect(paths.getArticleFiles('outdir', journal, options)[1])
+        .to.match(/^a+ \(2\)\.pdf$/);
+    });
+  });
+
+  describe('checkTemplates', () => {
+    it('should accept the default templates', () => {
+      expect(() => paths.checkTemplates({})).to.not.throw();
+    });
+
+    it('should reject article placeholders in the folder template', () => {
+      expect(() => paths.checkTemplates({ dirTemplate: '{title}' }))
+        .to.throw(Error, '{title}');
+    });
+
+    it('should reject unknown placeholders in the file template', () => {
+      expect(() => paths.checkTemplates({ fileTemplate: '{author}' }))
+        .to.throw(Error, '{author}');
+    });
+  });
+});
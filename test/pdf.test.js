@@ -0,0 +1,85 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+const { DownloadError } = require('../lib/errors');
+const pdf = require('../lib/pdf');
+
+function kindOf(fn) {
+  try {
+    fn();
+  } catch (e) {
+    expect(e).to.be.an.instanceOf(DownloadError);
+    return e.kind;
+  }
+  return null;
+}
+
+describe('pdf', () => {
+  describe('checkResponse', () => {
+    function check(props) {
+      return kindOf(() => pdf.checkResponse(Object.assign({
+        status: 200,
+        contentType: 'application/pdf',
+        url: 'https://www.nature.com/articles/1.pdf'
+      }, props)));
+    }
+
+    it('should accept a PDF file', () => {
+      expect(check({})).to.be.null;
+      expect(check({ contentType: 'application/octet-stream' })).to.be.null;
+    });
+
+    it('should classify the status code', () => {
+      expect(check({ status: 401 })).to.equal('auth-expired');
+      expect(check({ status: 403 })).to.equal('forbidden');
+      expect(check({ status: 404 })).to.equal('not-found');
+      expect(check({ status: 410 })).to.equal('not-found');
+      expect(check({ status: 500 })).to.equal('server-error');
+      expect(check({ status: 503 })).to.equal('server-error');
+      expect(check({ status: 429 })).to.equal('too-many-requests');
+      expect(check({ status: 400 })).to.equal('http-error');
+    });
+
+    it('should detect redirects to the login page', () => {
+      expect(check({ url: 'https://idp.nature.com/login/natureuser' }))
+        .to.equal('auth-expired');
+    });
+
+    it('should detect HTML pages', () => {
+      expect(check({ contentType: 'text/html; charset=utf-8' }))
+        .to.equal('auth-expired');
+    });
+
+    it('should reject unexpected content types', () => {
+      expect(check({ contentType: 'image/png' })).to.equal('invalid-pdf');
+      expect(check({ contentType: null })).to.equal('invalid-pdf');
+    });
+  });
+
+  describe('checkContent', () => {
+    it('should accept a PDF file', () => {
+      expect(kindOf(() => pdf.checkContent(Buffer.from('%PDF-1.4'), 2048)))
+        .to.be.null;
+    });
+
+    it('should reject a file without the PDF header', () => {
+      expect(kindOf(() => pdf.checkContent(Buffer.from('<html>'), 2048)))
+        .to.equal('invalid-pdf');
+      expect(kindOf(() => pdf.checkContent(Buffer.alloc(0), 2048)))
+        .to.equal('invalid-pdf');
+    });
+
+    it('should reject a file smaller than the minimum size', () => {
+      expect(kindOf(() => pdf.checkContent(Buffer.from('%PDF-1.4'), 100)))
+        .to.equal('invalid-pdf');
+      expect(kindOf(() => pdf.checkContent(Buffer.from('%PDF-1.4'), 100, 10)))
+        .to.be.null;
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+// Stubs
+const stubs = {
+  './sleep': sinon.stub()
+};
+
+const RateLimiter = proxyquire('../lib/rate-limiter', stubs);
+
+describe('RateLimiter', () => {
+  let clock = null;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(Date.now());
+    stubs['./sleep'].resolves();
+  });
+
+  afterEach(() => {
+    clock.restore();
+    stubs['./sleep'].reset();
+  });
+
+  describe('wait', () => {
+    it('should not sleep when no limit is specified', async () => {
+      const limiter = new RateLimiter();
+      await limiter.wait();
+      await limiter.wait();
+      expect(stubs['./sleep']).to.have.not.been.called;
+    });
+
+    it('should not sleep for the first request', async () => {
+      const limiter = new RateLimiter(30);
+      await limiter.wait();
+      expect(stubs['./sleep']).to.have.not.been.called;
+    });
+
+    it('should space requests evenly', async () => {
+      const limiter = new RateLimiter(30);
+      await limiter.wait();
+      await limiter.wait();
+      expect(stubs['./sleep']).to.have.been.calledWith(2);
+    });
+
+    it('should share the limit between concurrent callers', async () => {
+      const limiter = new RateLimiter(60);
+      await Promise.all([limiter.wait(), limiter.wait(), limiter.wait()]);
+      expect(stubs['./sleep'].args).to.eql([[1], [2]]);
+    });
+
+    it('should not sleep if the interval has elapsed', async () => {
+      const limiter = new RateLimiter(60);
+      await limiter.wait();
+      clock.tick(1000);
+      await limiter.wait();
+      expect(stubs['./sleep']).to.have.not.been.called;
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = chai.expect;
+
+const report = require('../lib/report');
+
+describe('report', () => {
+  const journals = [
+    { name: 'nature', volume: 1, issue: 2, date: '2018-04-01',
+      articles: [
+        { title: 'article 1', url: 'https://www.nature.com/articles/1.html' },
+        { title: 'article 2', url: 'https://www.nature.com/articles/2.html',
+          type: 'Letter' },
+        { title: 'article 3', url: 'https://www.nature.com/articles/3.html' }
+      ]
+    }
+  ];
+
+  const result = {
+    status: 1,
+    aborted: false,
+    warnings: 1,
+    errors: 1,
+    issues: [{ issue: 'nature:1:2', dir: 'dir', articles: 3, queued: 3 }],
+    articles: [
+      { status: 'downloaded', issue: 'nature:1:2', index: 1,
+        url: 'https://www.nature.com/articles/1.html', title: 'article 1',
+        path: 'dir/01 article 1.pdf', bytes: 1024 },
+      { status: 'failed', issue: 'nature:1:2', index: 2,
+        url: 'https://www.nature.com/articles/2.html', title: 'article 2',
+        error: 'HTTP 500' },
+      { status: 'skipped', issue: 'nature:1:2', index: 3,
+        url: 'https://www.nature.com/articles/3.html', title: 'article 3',
+        error: 'No PDF file found' }
+    ]
+  };
+
+  describe('create', () => {
+    it('should list failed and skipped articles', () => {
+      const data = report.create(result, journals);
+      expect(data).to.include({ version: 1, status: 1, errors: 1 });
+      expect(data.articles.map((a) => a.status))
+        .to.eql(['failed', 'skipped']);
+      expect(data.articles[0]).to.include({
+        issue: 'nature:1:2', index: 2, error: 'HTTP 500'
+      });
+    });
+
+    it('should include metadata of journals and articles', () => {
+      const data = report.create(result, journals);
+      expect(data.articles[0].journal).to.eql({
+        name: 'nature', volume: 1, issue: 2, date: '2018-04-01'
+      });
+      expect(data.articles[0].article).to.eql(journals[0].articles[1]);
+    });
+
+    it('should find filtered articles by their indices', () => {
+      const filtered = [Object.assign({}, journals[0], {
+        articles: [Object.assign({ index: 2 }, journals[0].articles[1])]
+      })];
+      const data = report.create(result, filtered);
+      expect(data.articles[0].article).to.include({ title: 'article 2' });
+      expect(data.articles[1].article).to.be.null;
+    });
+  });
+
+  describe('getJournals', () => {
+    it('should return journals having only listed articles', () => {
+      const retried = report.getJournals(report.create(result, journals));
+      expect(retried).to.have.length(1);
+      expect(retried[0]).to.include({ name: 'nature', volume: 1, issue: 2 });
+      expect(retried[0].articles.map((a) => [a.index, a.title])).to.eql([
+        [2, 'article 2'], [3, 'article 3']
+      ]);
+    });
+  });
+
+  describe('save and load', () => {
+    let dir = null;
+    let file = null;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+      file = path.join(dir, 'report.json');
+    });
+
+    afterEach(() => {
+      for (let name of fs.readdirSync(dir)) {
+        fs.unlinkSync(path.join(dir, name));
+      }
+      fs.rmdirSync(dir);
+    });
+
+    it('should load the saved report', () => {
+      const data = report.create(result, journals);
+      report.save(file, data);
+      expect(report.load(file)).to.eql(data);
+    });
+
+    it('should throw an error if the file is broken', () => {
+      fs.writeFileSync(file, '{');
+      expect(() => report.load(file)).to.throw('Invalid report file');
+    });
+
+    it('should throw an error if the file is not a report', () => {
+      fs.writeFileSync(file, '[]');
+      expect(() => report.load(file)).to.throw('Invalid report file');
+    });
+
+    it('should throw an error if the file does not exist', () => {
+      expect(() => report.load(file)).to.throw('Invalid report file');
+    });
+  });
+});
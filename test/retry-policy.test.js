@@ -0,0 +1,214 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const { DownloadError } = require('../lib/errors');
+
+const sleep = sinon.stub();
+const RetryPolicy = proxyquire('../lib/retry-policy', { './sleep': sleep });
+
+const Action = RetryPolicy.Action;
+const Kind = DownloadError.Kind;
+
+describe('RetryPolicy', () => {
+  beforeEach(() => {
+    sleep.resolves();
+  });
+
+  afterEach(() => {
+    sleep.reset();
+  });
+
+  describe('classify', () => {
+    it('should retry server errors, 429 and timeouts', () => {
+      for (let kind of [Kind.SERVER_ERROR, Kind.TOO_MANY_REQUESTS,
+                        Kind.INVALID_PDF]) {
+        expect(RetryPolicy.classify(new DownloadError(kind, 'x')))
+          .to.equal(Action.RETRY);
+      }
+      expect(RetryPolicy.classify(new Error('Navigation timeout')))
+        .to.equal(Action.RETRY);
+    });
+
+    it('should not retry 403 and 404', () => {
+      for (let kind of [Kind.FORBIDDEN, Kind.NOT_FOUND, Kind.HTTP_ERROR]) {
+        expect(RetryPolicy.classify(new DownloadError(kind, 'x')))
+          .to.equal(Action.FAIL);
+      }
+    });
+
+    it('should log in again if the session has expired', () => {
+      const error = new DownloadError(Kind.AUTH_EXPIRED, 'x');
+      expect(RetryPolicy.classify(error)).to.equal(Action.RELOGIN);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse the number of seconds', () => {
+      expect(RetryPolicy.parseRetryAfter('120')).to.equal(120);
+    });
+
+    it('should parse an HTTP date', () => {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+      expect(RetryPolicy.parseRetryAfter(
+        'Wed, 21 Oct 2015 07:30:00 GMT', now)).to.equal(120);
+      expect(RetryPolicy.parseRetryAfter(
+        'Wed, 21 Oct 2015 07:00:00 GMT', now)).to.equal(0);
+    });
+
+    it('should return null for invalid values', () => {
+      expect(RetryPolicy.parseRetryAfter(null)).to.be.null;
+      expect(RetryPolicy.parseRetryAfter('')).to.be.null;
+      expect(RetryPolicy.parseRetryAfter('soon')).to.be.null;
+    });
+  });
+
+  describe('checkPageResponse', () => {
+    function response(status, headers = {}) {
+      return { status: () => status, headers: () => headers };
+    }
+
+    it('should accept successful responses', () => {
+      RetryPolicy.checkPageResponse(null);
+      RetryPolicy.checkPageResponse(response(200));
+      RetryPolicy.checkPageResponse(response(304));
+    });
+
+    it('should throw a DownloadError for error statuses', () => {
+      expect(() => RetryPolicy.checkPageResponse(response(404)))
+        .to.throw(DownloadError).with.property('kind', Kind.NOT_FOUND);
+      expect(() => RetryPolicy.checkPageResponse(
+        response(429, { 'retry-after': '30' })))
+        .to.throw(DownloadError).with.property('retryAfter', 30);
+    });
+  });
+
+  describe('getDelay', () => {
+    it('should double the interval for each retry', () => {
+      const policy = new RetryPolicy({ retryInterval: 5 }, () => 0.5);
+      expect([1, 2, 3, 4].map((n) => policy.getDelay(n)))
+        .to.eql([5, 10, 20, 40]);
+    });
+
+    it('should randomize the delay by 20%', () => {
+      expect(new RetryPolicy({ retryInterval: 10 }, () => 0).getDelay(1))
+        .to.equal(8);
+      expect(new RetryPolicy({ retryInterval: 10 }, () => 1).getDelay(1))
+        .to.equal(12);
+    });
+
+    it('should be limited by maxRetryInterval', () => {
+      const policy = new RetryPolicy(
+        { retryInterval: 5, maxRetryInterval: 15 }, () => 0.5);
+      expect(policy.getDelay(3)).to.equal(15);
+      expect(policy.getDelay(3, 10)).to.equal(15);
+    });
+
+    it('should not limit Retry-After by maxRetryInterval', () => {
+      const policy = new RetryPolicy(
+        { retryInterval: 5, maxRetryInterval: 15 }, () => 0.5);
+      expect(policy.getDelay(1, 3600)).to.equal(3600);
+    });
+
+    it('should wait at least for Retry-After', () => {
+      const policy = new RetryPolicy({ retryInterval: 5 }, () => 0.5);
+      expect(policy.getDelay(1, 120)).to.equal(120);
+      expect(policy.getDelay(1, 2)).to.equal(5);
+    });
+  });
+
+  describe('decide', () => {
+    const policy = new RetryPolicy({ retry: 2 }, () => 0.5);
+    const error = new DownloadError(Kind.SERVER_ERROR, 'x');
+
+    it('should retry until the number of retries is reached', () => {
+      expect(policy.decide(error, 1))
+        .to.eql({ action: Action.RETRY, delay: 5 });
+      expect(policy.decide(error, 2))
+        .to.eql({ action: Action.RETRY, delay: 10 });
+      expect(policy.decide(error, 3))
+        .to.eql({ action: Action.FAIL, delay: 0 });
+    });
+
+    it('should not retry without the retry option', () => {
+      expect(new RetryPolicy({}).decide(error, 1))
+        .to.eql({ action: Action.FAIL, delay: 0 });
+    });
+  });
+
+  describe('run', () => {
+    const options = { retry: 2, retryInterval: 5 };
+
+    it('should return the result after retrying', async () => {
+      const fn = sinon.stub();
+      fn.onFirstCall().rejects(new Error('Navigation timeout'));
+      fn.onSecondCall().resolves('ok');
+      const onRetry = sinon.spy();
+      const policy = new RetryPolicy(options, () => 0.5);
+      expect(await policy.run(fn, { onRetry })).to.equal('ok');
+      expect(fn).to.have.been.calledTwice;
+      expect(onRetry)
+        .to.have.been.calledOnceWith(sinon.match.instanceOf(Error), 5);
+      expect(sleep).to.have.been.calledOnceWith(5, null);
+    });
+
+    it('should pass the signal to sleep', async () => {
+      const fn = sinon.stub();
+      fn.onFirstCall().rejects(new Error('Navigation timeout'));
+      fn.onSecondCall().resolves('ok');
+      const signal = { aborted: false };
+      const policy = new RetryPolicy(options, () => 0.5);
+      await policy.run(fn, { signal });
+      expect(sleep).to.have.been.calledOnceWith(5, signal);
+    });
+
+    it('should stop retrying when the wait is aborted', async () => {
+      const fn = sinon.stub().rejects(new Error('Navigation timeout'));
+      sleep.rejects(new Error('Aborted'));
+      let error = null;
+      try {
+        await new RetryPolicy(options, () => 0.5).run(fn);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.have.property('message', 'Aborted');
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should throw the last error after retrying', async () => {
+      const fn = sinon.stub().rejects(new Error('Navigation timeout'));
+      const policy = new RetryPolicy(options, () => 0.5);
+      let error = null;
+      try {
+        await policy.run(fn);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.have.property('message', 'Navigation timeout');
+      expect(fn).to.have.been.calledThrice;
+    });
+
+    it('should not retry errors which are not retryable', async () => {
+      for (let kind of [Kind.NOT_FOUND, Kind.AUTH_EXPIRED]) {
+        const fn = sinon.stub().rejects(new DownloadError(kind, 'x'));
+        let error = null;
+        try {
+          await new RetryPolicy(options).run(fn);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.have.property('kind', kind);
+        expect(fn).to.have.been.calledOnce;
+      }
+      expect(sleep).to.have.not.been.called;
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = chai.expect;
+
+const Session = require('../lib/session');
+
+describe('Session', () => {
+  let dir = null;
+  let file = null;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    file = path.join(dir, 'njtool', 'session.json');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    if (fs.existsSync(path.dirname(file))) {
+      fs.rmdirSync(path.dirname(file));
+    }
+    fs.rmdirSync(dir);
+  });
+
+  describe('getDefaultPath', () => {
+    it('should return a path in the config folder', () => {
+      expect(Session.getDefaultPath({ XDG_CONFIG_HOME: dir }))
+        .to.equal(file);
+    });
+  });
+
+  describe('save', () => {
+    it('should create a file readable only by the owner', () => {
+      new Session(file).save('user', []);
+      expect(fs.existsSync(file)).to.be.true;
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      }
+    });
+  });
+
+  describe('load', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const cookies = [
+      { name: 'session', value: 'a', expires: -1 },
+      { name: 'valid', value: 'b', expires: now + 3600 },
+      { name: 'expired', value: 'c', expires: now - 3600 }
+    ];
+
+    it('should return cookies which have not expired', () => {
+      const session = new Session(file);
+      session.save('user', cookies);
+      expect(session.load('user').map((c) => c.name))
+        .to.eql(['session', 'valid']);
+    });
+
+    it('should return null for other users', () => {
+      const session = new Session(file);
+      session.save('user', cookies);
+      expect(session.load('other')).to.be.null;
+    });
+
+    it('should return null if all cookies have expired', () => {
+      const session = new Session(file);
+      session.save('user', [cookies[2]]);
+      expect(session.load('user')).to.be.null;
+    });
+
+    it('should return null if the file is broken', () => {
+      fs.mkdirSync(path.dirname(file));
+      fs.writeFileSync(file, '{');
+      expect(new Session(file).load('user')).to.be.null;
+    });
+
+    it('should return null if the file does not exist', () => {
+      expect(new Session(file).load('user')).to.be.null;
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove the file', () => {
+      const session = new Session(file);
+      session.save('user', []);
+      session.remove();
+      expect(fs.existsSync(file)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+const sites = require('../lib/sites');
+const Journal = require('../lib/journal');
+const Volume = require('../lib/volume');
+
+describe('sites', () => {
+  describe('get', () => {
+    it('should return built-in adapters', () => {
+      expect(sites.names()).to.include.members(['nature', 'nphys', 'ncomms']);
+      expect(sites.get('nature')).to.be.an.instanceOf(sites.Site);
+      expect(sites.get('nature')).to.have.property('title', 'Nature');
+    });
+
+    it('should throw an Error object for unknown names', () => {
+      expect(() => sites.get('unknown')).to.throw(Error);
+    });
+  });
+
+  describe('createSite', () => {
+    it('should switch layouts at the specified volume', () => {
+      const site = sites.get('nphys');
+      expect(site.getIssueUrl(13, 12)).to.equal(
+        'https://www.nature.com/nphys/journal/v13/n12/index.html');
+      expect(site.getIssueUrl(14, 1)).to.equal(
+        'https://www.nature.com/nphys/volumes/14/issues/1');
+      expect(site.getVolumeUrl(14)).to.equal(
+        'https://www.nature.com/nphys/volumes/14');
+    });
+
+    it('should not use the legacy layout if `since` is 1', () => {
+      const site = sites.get('ncomms');
+      expect(site.layouts).to.have.length(1);
+      expect(site.getIssueUrl(1, 1)).to.equal(
+        'https://www.nature.com/ncomms/volumes/1/issues/1');
+    });
+  });
+
+  describe('register', () => {
+    function collectArticles() {
+      return [];
+    }
+
+    before(() => {
+      sites.register({
+        name: 'example',
+        title: 'Example',
+        layouts: [{
+          since: 10,
+          getIssueUrl: (site, volume, issue) =>
+            `https://example.com/${volume}/${issue}`,
+          collectArticles
+        }],
+        getVolumeUrl: (site, volume) => `https://example.com/${volume}`
+      });
+    });
+
+    it('should make the adapter available in journal and volume IDs', () => {
+      const journal = new Journal('example:10:2');
+      expect(journal.url).to.equal('https://example.com/10/2');
+      expect(journal._collectArticlesFunction).to.equal(collectArticles);
+      expect(new Volume('example:10').url)
+        .to.equal('https://example.com/10');
+    });
+
+    it('should throw an Error object for volumes without layouts', () => {
+      expect(() => sites.get('example').getIssueUrl(9, 1)).to.throw(Error);
+    });
+
+    it('should throw an Error object for invalid adapters', () => {
+      expect(() => sites.register({ name: 'invalid' })).to.throw(Error);
+    });
+  });
+});
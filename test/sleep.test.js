@@ -0,0 +1,69 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+
+const AbortController = require('../lib/abort-controller');
+const sleep = require('../lib/sleep');
+
+describe('sleep', () => {
+  let clock = null;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  async function isSettled(promise) {
+    let settled = false;
+    promise.then(() => settled = true, () => settled = true);
+    await Promise.resolve();
+    return settled;
+  }
+
+  it('should resolve after the seconds', async () => {
+    const promise = sleep(2);
+    clock.tick(1999);
+    expect(await isSettled(promise)).to.be.false;
+    clock.tick(1);
+    await promise;
+  });
+
+  it('should resolve if the signal is not aborted', async () => {
+    const controller = new AbortController();
+    const promise = sleep(2, controller.signal);
+    clock.tick(2000);
+    await promise;
+    controller.abort();
+    expect(clock.countTimers()).to.equal(0);
+  });
+
+  it('should reject if the signal has been aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const promise = sleep(2, controller.signal);
+    expect(clock.countTimers()).to.equal(0);
+    let error = null;
+    await promise.catch((e) => error = e);
+    expect(error).to.have.property('message', 'Aborted');
+  });
+
+  it('should reject when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const promise = sleep(2, controller.signal);
+    clock.tick(1000);
+    controller.abort();
+    expect(clock.countTimers()).to.equal(0);
+    let error = null;
+    await promise.catch((e) => error = e);
+    expect(error).to.have.property('message', 'Aborted');
+  });
+});
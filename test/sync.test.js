@@ -0,0 +1,259 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire');
+
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const Manifest = require('../lib/manifest');
+
+// Stubs
+const stubs = {
+  './browser-pool': sinon.stub(),
+  './downloader': sinon.stub(),
+  './journal': {
+    from: sinon.stub()
+  },
+  './manifest': {
+    load: sinon.stub(),
+    Status: Manifest.Status
+  },
+  './volume': sinon.stub()
+};
+stubs['./volume'].findCurrent = sinon.stub();
+stubs['./ids'] = proxyquire('../lib/ids', { './volume': stubs['./volume'] });
+
+const Sync = proxyquire('../lib/sync', stubs);
+
+const logger = {
+  info: () => {}
+};
+
+describe('Sync', () => {
+  let outdir = null;
+  let volumes = null;
+  let journals = null;
+  let manifests = null;
+  let downloaderStub = null;
+
+  function makeIssue(id, date) {
+    return { id, date };
+  }
+
+  function makeJournal(id) {
+    const [name, volume, issue] = id.split(':');
+    return {
+      name, volume: parseInt(volume), issue: parseInt(issue),
+      date: '2018-03-08', articles: [{ url: '1' }, { url: '2' }]
+    };
+  }
+
+  function makeManifest(statuses) {
+    return {
+      articles: statuses.map((status) => ({ status })),
+      isDone: (index) => statuses[index - 1] === 'downloaded'
+    };
+  }
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(Sync.getStatePath(outdir)));
+  }
+
+  function writeState(state) {
+    fs.writeFileSync(Sync.getStatePath(outdir), JSON.stringify(state));
+  }
+
+  beforeEach(() => {
+    outdir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    volumes = {
+      'nature:554': {
+        name: 'nature', volume: 554, issues: [
+          makeIssue(7690, '2018-02-01'), makeIssue(7691, '2018-02-08')
+        ]
+      },
+      'nature:555': {
+        name: 'nature', volume: 555, issues: [
+          makeIssue(7692, '2018-02-15'), makeIssue(7693, '2018-02-22')
+        ]
+      }
+    };
+    journals = {};
+    manifests = {};
+
+    stubs['./browser-pool'].callsFake(() => ({ close: sinon.stub() }));
+    stubs['./volume'].findCurrent.resolves(555);
+    stubs['./volume'].callsFake((id) => {
+      return { scrape: sinon.stub().resolves(volumes[id]) };
+    });
+    stubs['./journal'].from.callsFake((ids) => ids.map((id) => {
+      return { scrape: sinon.stub().resolves(journals[id] || makeJournal(id)) };
+    }));
+    downloaderStub = {
+      download: sinon.stub().callsFake(async () => {
+        // All articles are downloaded by default.
+        for (let dir of Object.keys(manifests)) {
+          manifests[dir] = manifests[dir] ||
+            makeManifest(['downloaded', 'downloaded']);
+        }
+        return 0;
+      }),
+      abort: sinon.stub()
+    };
+    stubs['./downloader'].returns(downloaderStub);
+    stubs['./manifest'].load.callsFake((dir) => {
+      const key = path.relative(outdir, dir);
+      if (!(key in manifests)) {
+        manifests[key] = null;
+      }
+      return manifests[key];
+    });
+  });
+
+  afterEach(() => {
+    for (let file of fs.readdirSync(outdir)) {
+      fs.unlinkSync(path.join(outdir, file));
+    }
+    fs.rmdirSync(outdir);
+    for (let stub of ['./browser-pool', './downloader', './volume']) {
+      stubs[stub].reset();
+    }
+    stubs['./volume'].findCurrent.reset();
+    stubs['./journal'].from.reset();
+    stubs['./manifest'].load.reset();
+  });
+
+  describe('sync', () => {
+    context('on the first run', () => {
+      it('should download only the latest issue', async () => {
+        const sync = new Sync({ outdir }, logger);
+        const summary = await sync.sync(['nature']);
+        expect(summary.newIssues).to.eql(['nature:555:7693']);
+        expect(downloaderStub.download).to.have.been.calledOnce;
+        expect(downloaderStub.download.firstCall.args[0])
+          .to.have.length(1);
+        expect(summary.issues).to.eql([{
+          id: 'nature:555:7693', date: '2018-03-08', articles: 2,
+          downloaded: 2, skipped: 0, failed: 0, complete: true
+        }]);
+        expect(summary.pending).to.eql([]);
+        expect(readState().journals)
+          .to.eql({ nature: { volume: 555, issue: 7693 } });
+      });
+
+      it('should download issues since the specified date', async () => {
+        const sync = new Sync({ outdir, since: '2018-02-08' }, logger);
+        const summary = await sync.sync(['nature']);
+        expect(summary.newIssues).to.eql([
+          'nature:554:7691', 'nature:555:7692', 'nature:555:7693'
+        ]);
+      });
+    });
+
+    context('on the next run', () => {
+      beforeEach(() => {
+        writeState({
+          version: 1,
+          journals: { nature: { volume: 554, issue: 7691 } },
+          pending: ['nature:554:7690'],
+          lastRunAt: null
+        });
+      });
+
+      it('should download new and pending issues', async () => {
+        const sync = new Sync({ outdir, since: '2000-01-01' }, logger);
+        const summary = await sync.sync(['nature']);
+        expect(summary.newIssues)
+          .to.eql(['nature:555:7692', 'nature:555:7693']);
+        expect(summary.issues.map((i) => i.id)).to.eql([
+          'nature:554:7690', 'nature:555:7692', 'nature:555:7693'
+        ]);
+        expect(readState().journals)
+          .to.eql({ nature: { volume: 555, issue: 7693 } });
+        expect(readState().pending).to.eql([]);
+      });
+
+      it('should not scrape older volumes', async () => {
+        const sync = new Sync({ outdir }, logger);
+        await sync.sync(['nature']);
+        expect(stubs['./volume']).to.have.been.calledWith('nature:555');
+        expect(stubs['./volume']).to.have.been.calledWith('nature:554');
+        expect(stubs['./volume']).to.have.not.been.calledWith('nature:553');
+      });
+    });
+
+    context('when some articles failed', () => {
+      it('should keep the issue pending', async () => {
+        const dir = path.join('nature', '555', '7693');
+        manifests[dir] = makeManifest(['downloaded', 'failed']);
+        const sync = new Sync({ outdir }, logger);
+        const summary = await sync.sync(['nature']);
+        expect(summary.issues[0]).to.include({ failed: 1, complete: false });
+        expect(summary.pending).to.eql(['nature:555:7693']);
+        expect(readState().pending).to.eql(['nature:555:7693']);
+      });
+    });
+
+    context('when a journal cannot be scraped', () => {
+      it('should keep the issue pending', async () => {
+        journals['nature:555:7693'] = { name: 'nature', volume: 555,
+                                        issue: 7693, error: 'Not found' };
+        const sync = new Sync({ outdir }, logger);
+        const summary = await sync.sync(['nature']);
+        expect(downloaderStub.download).to.have.not.been.called;
+        expect(summary.issues[0]).to.include({ error: 'Not found' });
+        expect(summary.pending).to.eql(['nature:555:7693']);
+      });
+    });
+
+    context('when another process is running', () => {
+      it('should reject', async () => {
+        fs.writeFileSync(Sync.getLockPath(outdir),
+                         JSON.stringify({ pid: process.pid }));
+        const sync = new Sync({ outdir }, logger);
+        let error = null;
+        try {
+          await sync.sync(['nature']);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(stubs['./volume'].findCurrent).to.have.not.been.called;
+      });
+    });
+
+    it('should remove the lock file', async () => {
+      const sync = new Sync({ outdir }, logger);
+      await sync.sync(['nature']);
+      expect(fs.existsSync(Sync.getLockPath(outdir))).to.be.false;
+    });
+
+    it('should remove the lock file even if an error occurs', async () => {
+      stubs['./volume'].findCurrent.rejects(new Error('error'));
+      const sync = new Sync({ outdir }, logger);
+      await sync.sync(['nature']).catch(() => {});
+      expect(fs.existsSync(Sync.getLockPath(outdir))).to.be.false;
+    });
+  });
+
+  describe('abort', () => {
+    it('should abort waits of scrapers', async () => {
+      const sync = new Sync({ outdir, since: '2018-02-08' }, logger);
+      stubs['./volume'].findCurrent.callsFake(async (name, options) => {
+        sync.abort();
+        expect(options.signal).to.have.property('aborted', true);
+        return 555;
+      });
+      await sync.sync(['nature']);
+      expect(stubs['./volume'].findCurrent).to.have.been.calledOnce;
+      expect(downloaderStub.download).to.have.not.been.called;
+    });
+  });
+});
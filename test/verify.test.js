@@ -0,0 +1,271 @@
+// This file is distributed under the MIT license.
+// See LICENSE file in the project root for details.
+
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = chai.expect;
+
+const verify = require('../lib/verify');
+
+// A PDF file large enough to pass the validation.
+const PDF = Buffer.concat([
+  Buffer.from('%PDF-1.4\n'), Buffer.alloc(1024), Buffer.from('%%EOF\n')
+]);
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function removeDir(dir) {
+  for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      removeDir(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  }
+  fs.rmdirSync(dir);
+}
+
+describe('verify', () => {
+  const journal = {
+    name: 'nature', volume: 1, issue: 2, date: '2018-04-01',
+    articles: [
+      { title: 'article 1', url: 'https://www.nature.com/articles/1.html' },
+      { title: 'article 2', url: 'https://www.nature.com/articles/2.html' }
+    ]
+  };
+
+  let outdir = null;
+  let dir = null;
+
+  function writeFile(file, data) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), data);
+  }
+
+  function writeManifest(articles) {
+    writeFile('manifest.json', JSON.stringify({
+      version: 1,
+      journal: { name: 'nature', volume: 1, issue: 2 },
+      articles
+    }));
+  }
+
+  function downloaded(index, data = PDF) {
+    return {
+      index,
+      url: `https://www.nature.com/articles/${index}.html`,
+      file: `0${index} article ${index}.pdf`,
+      status: 'downloaded',
+      size: data.length,
+      sha256: sha256(data)
+    };
+  }
+
+  function kinds(results) {
+    return results[0].problems.map((p) => p.kind);
+  }
+
+  beforeEach(() => {
+    outdir = fs.mkdtempSync(path.join(os.tmpdir(), 'njtool-'));
+    dir = path.join(outdir, 'nature', '1', '2');
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  afterEach(() => {
+    removeDir(outdir);
+  });
+
+  describe('findIssueDirs', () => {
+    it('should find folders having manifests or cursor files', () => {
+      writeManifest([]);
+      writeFile(path.join('sub', 'manifest.json'), '{}');
+      fs.mkdirSync(path.join(outdir, 'nature', '1', '3'));
+      fs.writeFileSync(path.join(outdir, 'nature', '1', '3', 'cursor'), '1');
+      fs.mkdirSync(path.join(outdir, 'nature', '1', '4'));
+      expect(verify.findIssueDirs(outdir).sort()).to.eql([
+        dir, path.join(outdir, 'nature', '1', '3')
+      ]);
+    });
+  });
+
+  describe('verify', () => {
+    it('should report no problem for complete issues', () => {
+      writeManifest([downloaded(1), downloaded(2)]);
+      writeFile('01 article 1.pdf', PDF);
+      writeFile('02 article 2.pdf', PDF);
+      writeFile(path.join('quarantine', '03 article 3.html'), '<html>');
+      fs.writeFileSync(path.join(outdir, 'sync.json'), '{}');
+      fs.writeFileSync(path.join(outdir, 'sync.lock'), '');
+      const results = verify.verify(outdir);
+      expect(results).to.eql([{ issue: 'nature:1:2', dir, problems: [] }]);
+    });
+
+    it('should report missing files', () => {
+      writeManifest([downloaded(1), Object.assign(downloaded(2), {
+        file: undefined,
+        status: 'failed'
+      })]);
+      const results = verify.verify(outdir);
+      expect(results[0].problems).to.eql([
+        { kind: 'missing', index: 1, file: '01 article 1.pdf',
+          message: 'File not found' },
+        { kind: 'missing', index: 2, file: null, message: 'Not downloaded' }
+      ]);
+    });
+
+    it('should report HTML pages saved as PDF files', () => {
+      writeManifest([downloaded(1, Buffer.from('<html>'))]);
+      writeFile('01 article 1.pdf', '<html>');
+      expect(kinds(verify.verify(outdir))).to.eql(['invalid-pdf']);
+    });
+
+    it('should report empty and truncated files', () => {
+      writeManifest([downloaded(1), downloaded(2)]);
+      writeFile('01 article 1.pdf', '');
+      writeFile('02 article 2.pdf', PDF.slice(0, 1030));
+      expect(kinds(verify.verify(outdir))).to.eql(['truncated', 'truncated']);
+    });
+
+    it('should report files having no end-of-file marker', () => {
+      const data = PDF.slice(0, 1030);
+      writeManifest([
+        Object.assign(downloaded(1), { size: undefined, sha256: undefined })
+      ]);
+      writeFile('01 article 1.pdf', data);
+      const results = verify.verify(outdir);
+      expect(results[0].problems[0])
+        .to.include({ kind: 'truncated', message: 'No end-of-file marker' });
+    });
+
+    it('should report checksum mismatches', () => {
+      writeManifest([downloaded(1)]);
+      const data = Buffer.from(PDF);
+      data[100] = 1;
+      writeFile('01 article 1.pdf', data);
+      expect(kinds(verify.verify(outdir))).to.eql(['checksum-mismatch']);
+    });
+
+    it('should report interrupted downloads', () => {
+      writeManifest([
+        Object.assign(downloaded(1), { status: 'downloading' }),
+        Object.assign(downloaded(2), { status: 'skipped' })
+      ]);
+      writeFile('01 article 1.pdf.part', '%PDF-');
+      writeFile('cursor', '1');
+      expect(kinds(verify.verify(outdir)))
+        .to.have.members(['interrupted', 'interrupted', 'interrupted']);
+    });
+
+    it('should report unexpected files', () => {
+      writeManifest([downloaded(1)]);
+      writeFile('01 article 1.pdf', PDF);
+      writeFile(path.join('sub', 'notes.txt'), 'notes');
+      const results = verify.verify(outdir);
+      expect(results[0].problems).to.eql([{
+        kind: 'unexpected',
+        index: null,
+        file: path.join('sub', 'notes.txt'),
+        message: 'Unexpected file'
+      }]);
+    });
+
+    it('should check supplementary files', () => {
+      const xlsx = Buffer.from('xlsx');
+      writeManifest([Object.assign(downloaded(1), {
+        supplementary: [{
+          file: '01 article 1 - SD1.xlsx',
+          status: 'downloaded',
+          size: xlsx.length,
+          sha256: sha256(xlsx)
+        }]
+      })]);
+      writeFile('01 article 1.pdf', PDF);
+      expect(kinds(verify.verify(outdir))).to.eql(['missing']);
+      writeFile('01 article 1 - SD1.xlsx', xlsx);
+      expect(kinds(verify.verify(outdir))).to.eql([]);
+    });
+
+    it('should report broken manifests', () => {
+      writeFile('manifest.json', '{');
+      expect(kinds(verify.verify(outdir))).to.eql(['broken-manifest']);
+    });
+
+    context('when metadata is specified', () => {
+      it('should report articles which have never been downloaded', () => {
+        writeManifest([downloaded(1)]);
+        writeFile('01 article 1.pdf', PDF);
+        const results = verify.verify(outdir, [journal]);
+        expect(results[0].problems).to.eql([{
+          kind: 'missing',
+          index: 2,
+          file: '02 article 2.pdf',
+          message: 'Not downloaded'
+        }]);
+      });
+
+      it('should report issues which have never been downloaded', () => {
+        fs.rmdirSync(dir);
+        const results = verify.verify(outdir, [journal]);
+        expect(results).to.have.length(1);
+        expect(results[0]).to.include({ issue: 'nature:1:2', dir });
+        expect(kinds(results)).to.eql(['missing', 'missing']);
+      });
+
+      it('should use the templates', () => {
+        const options = { dirTemplate: '{year}', fileTemplate: '{title}' };
+        dir = path.join(outdir, '2018');
+        writeFile('article 1.pdf', PDF);
+        writeFile('article 2.pdf', PDF);
+        expect(kinds(verify.verify(outdir, [journal], options))).to.eql([]);
+      });
+    });
+  });
+
+  describe('needsDownload', () => {
+    it('should return false if there are only unexpected files', () => {
+      expect(verify.needsDownload({ problems: [] })).to.be.false;
+      expect(verify.needsDownload({ problems: [{ kind: 'unexpected' }] }))
+        .to.be.false;
+      expect(verify.needsDownload({ problems: [{ kind: 'missing' }] }))
+        .to.be.true;
+    });
+  });
+
+  describe('fix', () => {
+    it('should reset articles having problems', () => {
+      writeManifest([downloaded(1), downloaded(2)]);
+      writeFile('01 article 1.pdf', PDF);
+      writeFile('02 article 2.pdf', '<html>');
+      writeFile('notes.txt', 'notes');
+      const results = verify.verify(outdir);
+      expect(verify.fix(results[0])).to.equal(1);
+      const manifest = JSON.parse(
+        fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+      expect(manifest.articles.map((a) => a.status))
+        .to.eql(['downloaded', 'pending']);
+      expect(fs.existsSync(path.join(dir, 'notes.txt'))).to.be.true;
+    });
+
+    it('should move broken manifests to the quarantine folder', () => {
+      writeFile('manifest.json', '{');
+      const results = verify.verify(outdir, [journal]);
+      expect(kinds(results)).to.include.members(['broken-manifest', 'missing']);
+      expect(verify.fix(results[0])).to.equal(0);
+      expect(verify.needsDownload(results[0])).to.be.true;
+      expect(fs.existsSync(path.join(dir, 'manifest.json'))).to.be.false;
+      expect(fs.readFileSync(
+        path.join(dir, 'quarantine', 'manifest.json'), 'utf8')).to.equal('{');
+      expect(kinds(verify.verify(outdir, [journal])))
+        .to.not.include('broken-manifest');
+    });
+  });
+});
@@ -21,7 +21,10 @@ const stubs = {
 const { Browser } = require('puppeteer/lib/cjs/puppeteer/common/Browser');
 const { Page } = require('puppeteer/lib/cjs/puppeteer/common/Page');
 
-const Volume = proxyquire('../lib/volume', stubs);
+const browserFactory = proxyquire('../lib/browser-factory', stubs);
+const BrowserPool = proxyquire(
+  '../lib/browser-pool', { './browser-factory': browserFactory });
+const Volume = proxyquire('../lib/volume', { './browser-pool': BrowserPool });
 
 // TODO:
 // * Testing scripts executed on the browser
@@ -62,6 +65,8 @@ describe('Volume', () => {
         expect(() => new Volume('a')).to.throw(Error);
         expect(() => new Volume('a:b')).to.throw(Error);
         expect(() => new Volume('a:b:c')).to.throw(Error);
+        expect(() => new Volume('nature:550-555'))
+          .to.throw('Invalid volume ID');
       });
     });
   });
@@ -202,4 +207,26 @@ describe('Volume', () => {
       });
     });
   });
+
+  describe('findCurrent', () => {
+    it('should return the largest volume number', async () => {
+      pageStub.evaluate.resolves([554, 556, 555]);
+      expect(await Volume.findCurrent('nature', {})).to.equal(556);
+      expect(pageStub.goto).to.have.been.calledWith(
+        'https://www.nature.com/nature/volumes');
+      expect(browserStub.close).to.have.been.called;
+    });
+
+    it('should reject if no volume is found', async () => {
+      pageStub.evaluate.resolves([]);
+      let error = null;
+      try {
+        await Volume.findCurrent('nature', {});
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+      expect(browserStub.close).to.have.been.called;
+    });
+  });
 });